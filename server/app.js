@@ -0,0 +1,356 @@
+// app.js
+// The Express app: middleware, routes and error handling. It does not connect to
+// MongoDB or listen, so tests can import it; server.js does both.
+import express from 'express';
+import multer from 'multer';
+import passport from 'passport';
+import configurePassport from './config/passportConfig.js';
+import { notFound, errorHandler } from './middleware/errorMiddleware.js';
+import userRoutes from './routes/userRoutes.js';
+import twoFactorRoutes from './routes/twoFactorRoutes.js';
+import foodAnalysisRoutes from './routes/foodAnalysisRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import planRoutes from './routes/planRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import pricingRoutes from './routes/pricingRoutes.js';
+import { protect } from './middleware/authMiddleware.js';
+import { apiVersion } from './middleware/apiVersionMiddleware.js';
+import creditService from './services/creditService.js';
+import visionProviders from './services/providers/index.js';
+import estimationService from './services/estimationService.js';
+import batchEstimationService from './services/batchEstimationService.js';
+import imageProcessingService from './services/imageProcessingService.js';
+import logger from './utils/logger.js';
+import { serializeAnalysis } from './utils/analysisSerializer.js';
+import { setCreditHeaders } from './utils/creditHeaders.js';
+
+const app = express();
+
+// Behind a proxy or load balancer, take the client IP (used by rate limits) from X-Forwarded-For.
+// TRUST_PROXY is the number of proxies in front of the server, or "true" to trust all of them.
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
+// Webhook signatures are computed over the exact bytes, so keep this body raw
+app.use('/api/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+
+// Body parser middleware
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(logger.http); // Added HTTP request logger
+app.use(apiVersion); // Resolve response format version (X-API-Version)
+
+// Initialize Passport
+app.use(passport.initialize());
+configurePassport();
+
+const storage = multer.memoryStorage();
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed!'), false);
+        }
+    }
+});
+
+// Routes
+app.use('/api/users/2fa', twoFactorRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/food-analyses', foodAnalysisRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/pricing', pricingRoutes);
+
+// Import and use credit routes
+import creditRoutes from './routes/creditRoutes.js';
+app.use('/api/credits', creditRoutes);
+
+// Most photos accepted for one meal (each one is charged separately)
+const MAX_IMAGES_PER_ESTIMATE = parseInt(process.env.MAX_IMAGES_PER_ESTIMATE, 10) || 4;
+
+// Protected route for calorie estimation from one or more photos of a meal
+app.post('/api/estimate-calories', protect, upload.array('foodImage', MAX_IMAGES_PER_ESTIMATE), async (req, res) => {
+    // Reservation to release if the request fails before it is settled
+    let pendingReservation = null;
+    try {
+        const files = req.files || [];
+        logger.info(`POST /api/estimate-calories initiated by user: ${req.user._id}`, { filenames: files.map(file => file.originalname), userId: req.user._id }, 'api');
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'Please upload an image file' });
+        }
+
+        // Pick the vision provider: per request (form field or query) or the configured default
+        const providerResult = visionProviders.resolve(req.body.provider || req.query.provider, req.body.model || req.query.model);
+        if (!providerResult.success) {
+            return res.status(providerResult.statusCode).json({ error: providerResult.message });
+        }
+        const provider = providerResult.provider;
+        const modelName = providerResult.model;
+
+        // Auto-rotate, strip EXIF/GPS metadata and downscale before anything leaves the server
+        const uploads = [];
+        for (const file of files) {
+            const processed = await imageProcessingService.processUpload(file.buffer, file.mimetype);
+            if (!processed.success) {
+                return res.status(processed.statusCode).json({ error: `${processed.message} (${file.originalname})` });
+            }
+            uploads.push(processed);
+        }
+    
+        // Reserve credits for this API endpoint, regardless of auth method; the cost is per image.
+        // They are only kept if the analysis succeeds.
+        const creditResult = await creditService.reserveCredits(req.user, '/api/estimate-calories', uploads.length, { provider: provider.name, model: modelName });
+    
+        // If not enough credits, return error
+        if (!creditResult.success) {
+            return res.status(creditResult.statusCode || 429).json({ 
+                error: creditResult.message,
+                credits: {
+                    used: req.user.apiCreditsUsed,
+                    total: req.user.apiCreditsTotal,
+                    remaining: req.user.apiCreditsTotal - req.user.apiCreditsUsed
+                }
+            });
+        } else {
+            // Log successful credit reservation
+            logger.info('Credit reservation successful', { userId: req.user._id, creditsRemaining: creditResult.remainingCredits }, 'credits');
+            setCreditHeaders(req, res, { remaining: creditResult.remainingCredits, total: creditResult.totalCredits });
+            pendingReservation = creditResult.reservation;
+        }
+
+        const result = await estimationService.analyze({
+            provider,
+            model: modelName,
+            prompt: estimationService.buildPrompt({ imageCount: uploads.length }),
+            images: uploads.map(upload => upload.image),
+            userId: req.user._id,
+        });
+
+        if (!result.success) {
+            pendingReservation = null;
+            const release = await creditService.releaseCredits(creditResult.reservation, result.message);
+            if (release.success) {
+                setCreditHeaders(req, res, { remaining: release.remainingCredits, total: release.totalCredits });
+            }
+            const errorBody = { error: result.message };
+            if (result.details) errorBody.details = result.details;
+            if (result.rawResponse) errorBody.rawResponse = result.rawResponse;
+            return res.status(result.statusCode).json(errorBody);
+        }
+
+        await creditService.commitCredits(creditResult.reservation);
+        pendingReservation = null;
+
+        let jsonOutput = result.analysis;
+
+        // The same food photographed from several angles must only be counted once
+        if (uploads.length > 1) {
+            const merged = estimationService.mergeDuplicateItems(jsonOutput);
+            if (merged.removedCount > 0) {
+                logger.info('Merged duplicate food items across images', { userId: req.user._id, removedCount: merged.removedCount }, 'food');
+            }
+            jsonOutput = merged.analysis;
+        }
+
+        // Save analysis to database with its images
+        const saveResult = await estimationService.saveAnalysis({ userId: req.user._id, analysis: jsonOutput, images: uploads });
+
+        if (!saveResult.success) {
+            // Still return the result to the user even if DB save fails
+            return res.status(200).json({
+                ...serializeAnalysis(jsonOutput, req.apiVersion),
+                dbSaveError: saveResult.message
+            });
+        }
+
+        // Add the database ID to the response
+        jsonOutput.analysisId = saveResult.record._id;
+
+        res.status(200).json(serializeAnalysis(jsonOutput, req.apiVersion));
+    } catch (error) {
+        logger.error('Error during calorie estimation', { userId: req.user._id, error }, 'api');
+        if (pendingReservation) {
+            await creditService.releaseCredits(pendingReservation, 'Estimation failed').catch((releaseError) => {
+                logger.error('Failed to release credits after estimation error', { userId: req.user._id, error: releaseError }, 'credits');
+            });
+        }
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error', details: error.message });
+        }
+    }
+});
+
+// Most images accepted in one batch job
+const MAX_BATCH_IMAGES = parseInt(process.env.MAX_BATCH_IMAGES, 10) || 20;
+
+// Protected route for queuing many images as a batch job; results are polled from /api/jobs/:id
+app.post('/api/estimate-calories/batch', protect, upload.array('foodImage', MAX_BATCH_IMAGES), async (req, res) => {
+    try {
+        const files = req.files || [];
+        logger.info(`POST /api/estimate-calories/batch initiated by user: ${req.user._id}`, { imageCount: files.length, userId: req.user._id }, 'api');
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'Please upload at least one image file' });
+        }
+
+        const providerResult = visionProviders.resolve(req.body.provider || req.query.provider, req.body.model || req.query.model);
+        if (!providerResult.success) {
+            return res.status(providerResult.statusCode).json({ error: providerResult.message });
+        }
+        const provider = providerResult.provider;
+        const modelName = providerResult.model;
+
+        // Credits for every image are charged now and refunded for images that fail
+        const jobResult = await batchEstimationService.createJob({ user: req.user, files, provider, model: modelName });
+
+        if (!jobResult.success) {
+            return res.status(jobResult.statusCode || 500).json({
+                error: jobResult.message,
+                credits: {
+                    used: req.user.apiCreditsUsed,
+                    total: req.user.apiCreditsTotal,
+                    remaining: req.user.apiCreditsTotal - req.user.apiCreditsUsed
+                }
+            });
+        }
+
+        const { job } = jobResult;
+        const statusUrl = `/api/jobs/${job._id}`;
+        setCreditHeaders(req, res, { remaining: jobResult.remainingCredits, total: jobResult.totalCredits });
+
+        res.status(202).location(statusUrl).json({
+            jobId: job._id,
+            status: job.status,
+            totalItems: job.totalItems,
+            creditsReserved: job.creditsReserved,
+            statusUrl
+        });
+    } catch (error) {
+        logger.error('Error creating batch estimation job', { userId: req.user._id, error }, 'api');
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error', details: error.message });
+        }
+    }
+});
+
+// Longest meal description accepted by the text estimation endpoint
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Protected route for calorie estimation from a free-text meal description
+app.post('/api/estimate-calories/text', protect, async (req, res) => {
+    // Reservation to release if the request fails before it is settled
+    let pendingReservation = null;
+    try {
+        const description = typeof req.body.description === 'string' ? req.body.description.trim() : '';
+        logger.info(`POST /api/estimate-calories/text initiated by user: ${req.user._id}`, { descriptionLength: description.length, userId: req.user._id }, 'api');
+
+        if (!description) {
+            return res.status(400).json({ error: 'Please provide a meal description' });
+        }
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            return res.status(400).json({ error: `Meal description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+        }
+
+        const providerResult = visionProviders.resolve(req.body.provider || req.query.provider, req.body.model || req.query.model);
+        if (!providerResult.success) {
+            return res.status(providerResult.statusCode).json({ error: providerResult.message });
+        }
+        const provider = providerResult.provider;
+        const modelName = providerResult.model;
+
+        // Only kept if the analysis succeeds
+        const creditResult = await creditService.reserveCredits(req.user, '/api/estimate-calories/text', 1, { provider: provider.name, model: modelName });
+
+        if (!creditResult.success) {
+            return res.status(creditResult.statusCode || 429).json({ 
+                error: creditResult.message,
+                credits: {
+                    used: req.user.apiCreditsUsed,
+                    total: req.user.apiCreditsTotal,
+                    remaining: req.user.apiCreditsTotal - req.user.apiCreditsUsed
+                }
+            });
+        } else {
+            logger.info('Credit reservation successful', { userId: req.user._id, creditsRemaining: creditResult.remainingCredits }, 'credits');
+            setCreditHeaders(req, res, { remaining: creditResult.remainingCredits, total: creditResult.totalCredits });
+            pendingReservation = creditResult.reservation;
+        }
+
+        const result = await estimationService.analyze({
+            provider,
+            model: modelName,
+            prompt: estimationService.buildPrompt({ description }),
+            userId: req.user._id,
+        });
+
+        if (!result.success) {
+            pendingReservation = null;
+            const release = await creditService.releaseCredits(creditResult.reservation, result.message);
+            if (release.success) {
+                setCreditHeaders(req, res, { remaining: release.remainingCredits, total: release.totalCredits });
+            }
+            const errorBody = { error: result.message };
+            if (result.details) errorBody.details = result.details;
+            if (result.rawResponse) errorBody.rawResponse = result.rawResponse;
+            return res.status(result.statusCode).json(errorBody);
+        }
+
+        await creditService.commitCredits(creditResult.reservation);
+        pendingReservation = null;
+
+        const jsonOutput = result.analysis;
+
+        // Saved without an image
+        const saveResult = await estimationService.saveAnalysis({ userId: req.user._id, analysis: jsonOutput });
+
+        if (!saveResult.success) {
+            return res.status(200).json({
+                ...serializeAnalysis(jsonOutput, req.apiVersion),
+                dbSaveError: saveResult.message
+            });
+        }
+
+        jsonOutput.analysisId = saveResult.record._id;
+
+        res.status(200).json(serializeAnalysis(jsonOutput, req.apiVersion));
+    } catch (error) {
+        logger.error('Error during text calorie estimation', { userId: req.user._id, error }, 'api');
+        if (pendingReservation) {
+            await creditService.releaseCredits(pendingReservation, 'Estimation failed').catch((releaseError) => {
+                logger.error('Failed to release credits after estimation error', { userId: req.user._id, error: releaseError }, 'credits');
+            });
+        }
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error', details: error.message });
+        }
+    }
+});
+
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: `Multer error: ${err.message}` });
+    } else if (err) {
+        logger.error("Unhandled error in general error middleware", {
+            originalUrl: req.originalUrl,
+            method: req.method,
+            userId: req.user ? req.user._id : 'N/A',
+            error: err
+        }, 'http');
+        // Keep the status set by the middleware that failed (e.g. 401/403 from protect)
+        const statusCode = res.statusCode >= 400 ? res.statusCode : 400;
+        return res.status(statusCode).json({ error: err.message || 'An unknown error occurred' });
+    }
+    next();
+});
+
+// Error middleware
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
@@ -1,8 +1,7 @@
 // config/passportConfig.js
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
-import { v4 as uuidv4 } from 'uuid';
-import User from '../models/userModel.js';
+import identityService from '../services/identityService.js';
 
 const configurePassport = () => {
   passport.use(
@@ -15,40 +14,20 @@ const configurePassport = () => {
       },
       async (accessToken, refreshToken, profile, done) => {
         try {
-          // Find user by googleId
-          let user = await User.findOne({ googleId: profile.id });
+          // Same lookup and linking rules as ID token sign-in (Google identity, then verified email)
+          // API keys are created by the user through /api/users/api-keys
+          const email = profile.emails && profile.emails.length > 0 ? profile.emails[0] : null;
+          const result = await identityService.signIn('google', {
+            sub: profile.id,
+            email: email ? email.value.toLowerCase() : undefined,
+            emailVerified: email ? email.verified === true : false,
+            name: profile.displayName,
+          });
 
-          // If user not found by googleId, try to find by email
-          if (!user && profile.emails && profile.emails.length > 0) {
-            const email = profile.emails[0].value;
-            user = await User.findOne({ email });
-
-            // If user found by email, link the Google ID to this account
-            if (user) {
-              user.googleId = profile.id;
-              await user.save();
-            }
-          }
-
-          // If user is still not found, create a new user
-          if (!user) {
-            // Generate unique API key
-            const apiKey = uuidv4();
-            
-            // Create new user
-            user = await User.create({
-              name: profile.displayName,
-              email: profile.emails[0].value,
-              googleId: profile.id,
-              apiKey
-            });
-          } else if (!user.apiKey) {
-            // Generate API key if user doesn't have one
-            user.apiKey = uuidv4();
-            await user.save();
+          if (!result.success) {
+            return done(null, false, { message: result.message });
           }
-
-          return done(null, user);
+          return done(null, result.user);
         } catch (error) {
           return done(error, null);
         }
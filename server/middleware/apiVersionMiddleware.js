@@ -0,0 +1,34 @@
+// middleware/apiVersionMiddleware.js
+
+export const SUPPORTED_API_VERSIONS = [1, 2];
+
+// Version used when the client does not ask for one. Version 1 keeps the
+// legacy string nutrient fields so existing clients keep working.
+const getDefaultApiVersion = () => {
+  const configured = parseInt(process.env.DEFAULT_API_VERSION, 10);
+  return SUPPORTED_API_VERSIONS.includes(configured) ? configured : 1;
+};
+
+// Resolve the response format version from the X-API-Version header or the apiVersion query parameter
+const apiVersion = (req, res, next) => {
+  const requested = req.headers['x-api-version'] || req.query.apiVersion;
+
+  if (requested === undefined) {
+    req.apiVersion = getDefaultApiVersion();
+  } else {
+    const version = parseInt(requested, 10);
+
+    if (!SUPPORTED_API_VERSIONS.includes(version)) {
+      return res.status(400).json({
+        message: `Unsupported API version '${requested}'. Supported versions: ${SUPPORTED_API_VERSIONS.join(', ')}`
+      });
+    }
+
+    req.apiVersion = version;
+  }
+
+  res.set('X-API-Version', String(req.apiVersion));
+  next();
+};
+
+export { apiVersion };
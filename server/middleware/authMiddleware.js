@@ -2,96 +2,186 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/userModel.js';
 import creditService from '../services/creditService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { API_KEY_LEGACY_SCOPE } from '../models/apiKeyModel.js';
+import accountService from '../services/accountService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import rateLimiter from '../services/rateLimit/index.js';
+import { setCreditHeaders } from '../utils/creditHeaders.js';
+import { setRateLimitHeaders } from './rateLimitMiddleware.js';
 
-// Protect routes - verify JWT token
+// Routes an API key may call and the scope each one needs. Every other
+// protected route (account and key management, admin) needs a JWT.
+const API_KEY_ROUTE_SCOPES = {
+  'POST /api/estimate-calories': 'estimate',
+  'POST /api/estimate-calories/text': 'estimate',
+  'POST /api/estimate-calories/batch': 'estimate',
+  'GET /api/jobs/:id': 'read-history',
+  'GET /api/food-analyses': 'read-history',
+  'GET /api/food-analyses/summary': 'read-history',
+  'GET /api/food-analyses/:id': 'read-history',
+  'GET /api/food-analyses/:id/revisions': 'read-history',
+  'GET /api/food-analyses/:id/image': 'read-history',
+  'GET /api/credits': 'credits',
+  'GET /api/pricing/quote': 'credits',
+};
+
+// Route pattern of the current request, e.g. "GET /api/food-analyses/:id"
+const getRouteKey = (req) => {
+  const routePath = req.route ? req.route.path : req.path;
+  const path = `${req.baseUrl}${routePath === '/' ? '' : routePath}` || '/';
+  return `${req.method} ${path}`;
+};
+
+// Protect routes - verify JWT token or API key.
+// Errors go to next(): Express 4 does not catch errors thrown by async middleware.
 const protect = async (req, res, next) => {
-  let token;
+  const fail = (statusCode, message) => {
+    res.status(statusCode);
+    next(new Error(message));
+  };
 
   // Check for token in Authorization header
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    let decoded;
     try {
       // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+      const token = req.headers.authorization.split(' ')[1];
 
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Login challenge tokens (two-factor step) are not access tokens
+      if (decoded.purpose) {
+        return fail(401, 'Not authorized, token failed');
+      }
 
       // Get user from the token (exclude password)
       req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        res.status(401);
-        throw new Error('Not authorized, user not found');
-      }
-      
-      // For JWT token auth, we don't consume credits (only for API key auth)
-      // But we add credit info to the request for reference
-      req.creditInfo = {
-        remaining: req.user.apiCreditsTotal - req.user.apiCreditsUsed,
-        used: req.user.apiCreditsUsed
-      };
-
-      next();
     } catch (error) {
       console.error(error);
-      res.status(401);
-      throw new Error('Not authorized, token failed');
+      return fail(401, 'Not authorized, token failed');
     }
+
+    if (!req.user) {
+      return fail(401, 'Not authorized, user not found');
+    }
+
+    if (req.user.isActive === false) {
+      return fail(403, 'Account is deactivated');
+    }
+
+    // Tokens issued before a password change, logout-all or deactivation carry an older version
+    if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+      return fail(401, 'Not authorized, session has been revoked');
+    }
+
+    req.authMethod = 'jwt';
+
+    // For JWT token auth, we don't consume credits (only for API key auth)
+    // But we add credit info to the request for reference
+    req.creditInfo = {
+      remaining: req.user.apiCreditsTotal - req.user.apiCreditsUsed,
+      used: req.user.apiCreditsUsed
+    };
+
+    return next();
   }
 
   // Check for API key
-  else if (req.headers['x-api-key']) {
+  if (req.headers['x-api-key']) {
+    let result;
     try {
-      const apiKey = req.headers['x-api-key'];
-      
-      // Find user with this API key
-      const user = await User.findOne({ apiKey }).select('-password');
-      
-      if (!user) {
-        res.status(401);
-        throw new Error('Invalid API key');
-      }
-      
-      // When using API key authentication, we'll need to make sure the user object is refreshed
-      // since we need to see the latest credit usage. API keys are primarily for external API usage.
-      
-      // Get the freshest user data to ensure accurate credit tracking
-      const freshUser = await User.findById(user._id);
-      
-      // Update our reference to use the fresh user data
-      user = freshUser;
-      
-      // Set the user in the request (we'll directly modify credits in the estimate-calories endpoint)
-      req.user = user;
-      // Add credit info to request for potential use in controllers
-      req.creditInfo = {
-        remaining: user.apiCreditsTotal - user.apiCreditsUsed,
-        used: user.apiCreditsUsed,
-        total: user.apiCreditsTotal
-      };
-      next();
+      result = await apiKeyService.authenticate(req.headers['x-api-key'], req.ip);
     } catch (error) {
       console.error(error);
-      res.status(401);
-      throw new Error('API key authentication failed');
+      return fail(401, 'API key authentication failed');
     }
+
+    if (!result.success) {
+      return fail(result.statusCode, result.message);
+    }
+
+    // Keys only reach the routes listed for their scopes; migrated legacy keys reach all of them
+    const requiredScope = API_KEY_ROUTE_SCOPES[getRouteKey(req)];
+    if (!requiredScope) {
+      return fail(403, 'This endpoint cannot be called with an API key');
+    }
+    const isLegacyKey = result.apiKey.scopes.includes(API_KEY_LEGACY_SCOPE);
+    if (!isLegacyKey && !result.apiKey.scopes.includes(requiredScope)) {
+      return fail(403, `API key is missing the '${requiredScope}' scope`);
+    }
+    // Tell clients of migrated keys to replace them before they expire (RFC 8594)
+    if (isLegacyKey) {
+      res.set('Deprecation', 'true');
+      if (result.apiKey.expiresAt) {
+        res.set('Sunset', result.apiKey.expiresAt.toUTCString());
+      }
+    }
+
+    const user = result.user;
+
+    if (user.isActive === false) {
+      return fail(403, 'Account is deactivated');
+    }
+
+    // Keys (including the one returned at registration) only work once the address is verified
+    if (accountService.isVerificationRequired() && !user.emailVerified) {
+      return fail(403, 'Please verify your email address before using API keys');
+    }
+
+    // Requests per key are limited in addition to credits
+    const limit = await rateLimiter.consume('apiKey', result.apiKey._id.toString());
+    setRateLimitHeaders(res, limit);
+    if (!limit.allowed) {
+      return fail(429, 'API key rate limit exceeded');
+    }
+
+    // Set the user in the request (we'll directly modify credits in the estimate-calories endpoint)
+    req.user = user;
+    req.apiKey = result.apiKey;
+    req.authMethod = 'apiKey';
+    // Add credit info to request for potential use in controllers
+    req.creditInfo = {
+      remaining: user.apiCreditsTotal - user.apiCreditsUsed,
+      used: user.apiCreditsUsed,
+      total: user.apiCreditsTotal
+    };
+    // Routes that charge credits update these headers with the new balance
+    setCreditHeaders(req, res, req.creditInfo);
+    return next();
   }
 
   // No token or API key
-  else {
-    res.status(401);
-    throw new Error('Not authorized, no token or API key');
-  }
+  return fail(401, 'Not authorized, no token or API key');
 };
 
 // Admin middleware
-const admin = (req, res, next) => {
-  if (req.user && req.user.isAdmin) {
-    next();
-  } else {
+const admin = async (req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
     res.status(401);
-    throw new Error('Not authorized as an admin');
+    return next(new Error('Not authorized as an admin'));
+  }
+
+  // API keys never pass a second factor, so admin actions need a JWT session
+  if (req.authMethod === 'apiKey') {
+    res.status(403);
+    return next(new Error('Admin endpoints cannot be called with an API key'));
   }
+
+  // Admins must enroll in two-factor first when it is required for admin accounts
+  try {
+    if (await twoFactorService.isRequiredFor(req.user)) {
+      res.status(403);
+      return next(new Error('Two-factor authentication is required for admin accounts. Enable it with POST /api/users/2fa/setup.'));
+    }
+  } catch (error) {
+    console.error(error);
+    res.status(500);
+    return next(new Error('Could not check admin requirements'));
+  }
+
+  next();
 };
 
-export { protect, admin };
+export { protect, admin, API_KEY_ROUTE_SCOPES };
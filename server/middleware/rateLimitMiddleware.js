@@ -0,0 +1,39 @@
+// middleware/rateLimitMiddleware.js
+import rateLimiter from '../services/rateLimit/index.js';
+
+/**
+ * Set X-RateLimit-Limit and X-RateLimit-Remaining, plus Retry-After (seconds) when the limit is reached
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of rateLimiter.consume()
+ */
+export const setRateLimitHeaders = (res, { limit, remaining, allowed, retryAfterMs }) => {
+  res.set('X-RateLimit-Limit', String(limit));
+  res.set('X-RateLimit-Remaining', String(remaining));
+  if (!allowed) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  }
+};
+
+// Limit requests per client IP with a policy of services/rateLimit/index.js
+const rateLimitByIp = (policyName) => async (req, res, next) => {
+  const result = await rateLimiter.consume(policyName, req.ip);
+  setRateLimitHeaders(res, result);
+
+  if (!result.allowed) {
+    const seconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    return res.status(429).json({
+      message: `Too many requests. Please try again in ${seconds} seconds.`,
+      retryAfter: seconds
+    });
+  }
+
+  next();
+};
+
+// Sign-up, login and sign-in endpoints
+const loginRateLimit = rateLimitByIp('login');
+
+// Endpoints that send or redeem account emails (verification, password reset)
+const accountEmailRateLimit = rateLimitByIp('accountEmail');
+
+export { rateLimitByIp, loginRateLimit, accountEmailRateLimit };
@@ -0,0 +1,48 @@
+// models/accountTokenModel.js
+import mongoose from 'mongoose';
+
+export const ACCOUNT_TOKEN_TYPES = ['email-verification', 'password-reset'];
+
+// Single-use token sent by email (verification and password reset links).
+// Only a SHA-256 hash is stored; `usedAt` is set when the token is redeemed.
+const accountTokenSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ACCOUNT_TOKEN_TYPES,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    email: {
+      type: String, // Address the token was sent to; verification fails if the account email changed since
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ user: 1, type: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
@@ -0,0 +1,62 @@
+// models/apiKeyModel.js
+import mongoose from 'mongoose';
+
+// What a key may be used for (see API_KEY_ROUTE_SCOPES in middleware/authMiddleware.js)
+export const API_KEY_SCOPES = ['estimate', 'read-history', 'credits'];
+
+// Only given to keys migrated from before scopes existed. They keep working on every
+// route an API key can call (API_KEY_ROUTE_SCOPES) until they expire, and are marked
+// deprecated in responses. Cannot be requested when creating or regenerating a key.
+export const API_KEY_LEGACY_SCOPE = 'legacy';
+
+// A named API key. Only a SHA-256 hash of the key is stored; the key itself is
+// shown once when it is created. `prefix` identifies the key in listings.
+const apiKeySchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    prefix: {
+      type: String, // First characters of the key, e.g. "cal_1a2b3c4d"
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: [...API_KEY_SCOPES, API_KEY_LEGACY_SCOPE] }],
+      default: () => [...API_KEY_SCOPES],
+    },
+    expiresAt: {
+      type: Date, // No expiry when unset
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,52 @@
+// models/creditPackModel.js
+import mongoose from 'mongoose';
+
+// One-off credit pack users can buy through checkout (services/paymentService.js)
+const creditPackSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    credits: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    priceCents: {
+      type: Number, // Price in the smallest currency unit
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'usd',
+      lowercase: true,
+    },
+    active: {
+      type: Boolean, // Inactive packs are hidden from the catalog and cannot be bought
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Packs created at startup when missing; admins can edit them afterwards
+export const DEFAULT_CREDIT_PACKS = [
+  { key: 'starter', name: 'Starter pack', credits: 100, priceCents: 499, currency: 'usd' },
+  { key: 'standard', name: 'Standard pack', credits: 500, priceCents: 1999, currency: 'usd' },
+  { key: 'bulk', name: 'Bulk pack', credits: 2000, priceCents: 5999, currency: 'usd' },
+];
+
+const CreditPack = mongoose.model('CreditPack', creditPackSchema);
+
+export default CreditPack;
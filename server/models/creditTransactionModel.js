@@ -1,6 +1,25 @@
 // models/creditTransactionModel.js
 import mongoose from 'mongoose';
 
+// How a 'consume' transaction was priced (services/pricingService.js), kept for auditing
+const pricingSchema = mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId, // null when no rule applied (default price)
+      ref: 'PricingRule',
+    },
+    cost: Number,
+    units: Number,
+    plan: String,
+    provider: String,
+    model: String,
+    multiplier: Number,
+    discountPercent: Number,
+    exempt: Boolean,
+  },
+  { _id: false }
+);
+
 const creditTransactionSchema = mongoose.Schema(
   {
     user: {
@@ -15,7 +34,15 @@ const creditTransactionSchema = mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ['consume', 'refill', 'adjustment'],
+      enum: ['consume', 'refill', 'adjustment', 'refund'],
+    },
+    status: {
+      type: String, // Only for 'consume': reserved until the request succeeds (committed) or fails (released)
+      enum: ['reserved', 'committed', 'released'],
+    },
+    relatedTransaction: {
+      type: mongoose.Schema.Types.ObjectId, // For 'refund': the 'consume' transaction being refunded
+      ref: 'CreditTransaction',
     },
     description: {
       type: String,
@@ -24,6 +51,10 @@ const creditTransactionSchema = mongoose.Schema(
     endpointPath: {
       type: String,
     },
+    pricing: {
+      type: pricingSchema,
+      default: undefined,
+    },
     balanceAfter: {
       type: Number,
       required: true,
@@ -34,6 +65,11 @@ const creditTransactionSchema = mongoose.Schema(
   }
 );
 
+// Startup cleanup looks for reservations that were never settled
+creditTransactionSchema.index({ status: 1, createdAt: 1 });
+// Per-user history and ledger replays
+creditTransactionSchema.index({ user: 1, createdAt: 1 });
+
 const CreditTransaction = mongoose.model('CreditTransaction', creditTransactionSchema);
 
 export default CreditTransaction;
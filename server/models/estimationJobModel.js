@@ -0,0 +1,103 @@
+// models/estimationJobModel.js
+import mongoose from 'mongoose';
+
+// One uploaded image of a batch job
+const jobItemSchema = mongoose.Schema({
+  index: {
+    type: Number, // Position of the image in the upload
+    required: true,
+  },
+  filename: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'succeeded', 'failed'],
+    default: 'queued',
+  },
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId, // Set when the item succeeded
+    ref: 'FoodAnalysis',
+  },
+  error: {
+    type: String, // Set when the item failed; its credits are refunded
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+}, { _id: false });
+
+const estimationJobSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    provider: {
+      type: String, // Vision provider name (services/providers)
+      required: true,
+    },
+    model: {
+      type: String,
+    },
+    items: {
+      type: [jobItemSchema],
+      default: [],
+    },
+    totalItems: {
+      type: Number,
+      required: true,
+    },
+    succeededItems: {
+      type: Number,
+      default: 0,
+    },
+    failedItems: {
+      type: Number,
+      default: 0,
+    },
+    creditsReserved: {
+      type: Number, // Charged when the job was created
+      default: 0,
+    },
+    creditsPerItem: {
+      type: Number, // Priced cost of one image, refunded when it fails
+    },
+    creditTransaction: {
+      type: mongoose.Schema.Types.ObjectId, // The 'consume' transaction refunds are linked to
+      ref: 'CreditTransaction',
+    },
+    creditsRefunded: {
+      type: Number, // Given back for failed items
+      default: 0,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    owner: {
+      type: String, // Server instance holding the uploaded images in memory
+    },
+    leaseExpiresAt: {
+      type: Date, // Renewed by the owner while it works on the job; afterwards the job can be recovered
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+estimationJobSchema.index({ user: 1, createdAt: -1 });
+estimationJobSchema.index({ status: 1 });
+
+const EstimationJob = mongoose.model('EstimationJob', estimationJobSchema);
+
+export default EstimationJob;
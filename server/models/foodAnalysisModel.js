@@ -1,38 +1,53 @@
 // models/foodAnalysisModel.js
 import mongoose from 'mongoose';
 
+// Numeric nutrient value. `low`/`high` are set when the model gave a range,
+// in which case `value` is the midpoint.
+const nutrientSchema = mongoose.Schema(
+  {
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    low: {
+      type: Number,
+      min: 0,
+    },
+    high: {
+      type: Number,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      enum: ['kcal', 'g', 'mg'],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const nutrientField = (unit) => ({
+  type: nutrientSchema,
+  default: () => ({ value: 0, unit }),
+});
+
 const foodItemSchema = mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
-  calories: {
-    type: String,
-    default: '0 kcal',
-  },
-  proteinGrams: {
-    type: String,
-    default: '0g',
-  },
-  carbsGrams: {
-    type: String,
-    default: '0g',
-  },
-  fatGrams: {
-    type: String,
-    default: '0g',
-  },
-  fiberGrams: {
-    type: String,
-    default: '0g',
-  },
-  sugarGrams: {
-    type: String,
-    default: '0g',
-  },
-  sodiumMg: {
-    type: String,
-    default: '0mg',
+  calories: nutrientField('kcal'),
+  proteinGrams: nutrientField('g'),
+  carbsGrams: nutrientField('g'),
+  fatGrams: nutrientField('g'),
+  fiberGrams: nutrientField('g'),
+  sugarGrams: nutrientField('g'),
+  sodiumMg: nutrientField('mg'),
+  servings: {
+    type: Number, // Portion relative to the original estimate; nutrients are for this portion
+    default: 1,
+    min: 0,
   },
   healthScore: {
     type: Number,
@@ -48,6 +63,20 @@ const foodItemSchema = mongoose.Schema({
   },
 });
 
+// Extra photos of the same meal (multi-image uploads); the first photo is `image`
+const additionalImageSchema = mongoose.Schema({
+  storageKey: {
+    type: String,
+    required: true
+  },
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  thumbnailKey: String,
+  thumbnailContentType: String,
+}, { _id: false });
+
 const foodAnalysisSchema = mongoose.Schema(
   {
     user: {
@@ -56,34 +85,13 @@ const foodAnalysisSchema = mongoose.Schema(
       ref: 'User',
     },
     foodItems: [foodItemSchema],
-    totalCalories: {
-      type: String,
-      default: '0 kcal',
-    },
-    totalProteinGrams: {
-      type: String,
-      default: '0g',
-    },
-    totalCarbsGrams: {
-      type: String,
-      default: '0g',
-    },
-    totalFatGrams: {
-      type: String,
-      default: '0g',
-    },
-    totalFiberGrams: {
-      type: String,
-      default: '0g',
-    },
-    totalSugarGrams: {
-      type: String,
-      default: '0g',
-    },
-    totalSodiumMg: {
-      type: String,
-      default: '0mg',
-    },
+    totalCalories: nutrientField('kcal'),
+    totalProteinGrams: nutrientField('g'),
+    totalCarbsGrams: nutrientField('g'),
+    totalFatGrams: nutrientField('g'),
+    totalFiberGrams: nutrientField('g'),
+    totalSugarGrams: nutrientField('g'),
+    totalSodiumMg: nutrientField('mg'),
     overallHealthScore: {
       type: Number,
       default: 5,
@@ -104,15 +112,51 @@ const foodAnalysisSchema = mongoose.Schema(
       type: String,
       default: 'No description provided.',
     },
+    revision: {
+      type: Number, // Incremented on every manual correction (see FoodAnalysisRevision)
+      default: 0,
+    },
+    editedAt: {
+      type: Date,
+    },
     image: {
-      data: {
-        type: String, // Will store base64 encoded image data
+      storageKey: {
+        type: String, // Key of the image in the blob store (services/imageStorage)
         required: false
       },
       contentType: {
         type: String, // Will store the MIME type (e.g., 'image/jpeg')
         required: false
       },
+      size: {
+        type: Number, // Size in bytes
+        required: false
+      },
+      width: {
+        type: Number, // Pixel dimensions after normalization
+        required: false
+      },
+      height: {
+        type: Number,
+        required: false
+      },
+      thumbnailKey: {
+        type: String, // Key of the thumbnail served by ?size=thumb
+        required: false
+      },
+      thumbnailContentType: {
+        type: String,
+        required: false
+      },
+      data: {
+        type: String, // Legacy base64 image data, removed by scripts/migrateImages.js
+        required: false,
+        select: false
+      },
+    },
+    additionalImages: {
+      type: [additionalImageSchema], // Served by GET /api/food-analyses/:id/image?index=1..n
+      default: undefined,
     },
   },
   {
@@ -120,6 +164,12 @@ const foodAnalysisSchema = mongoose.Schema(
   }
 );
 
+// History and summaries always filter by user and sort/range on createdAt
+foodAnalysisSchema.index({ user: 1, createdAt: -1 });
+// Keyset pagination for the other history sort options
+foodAnalysisSchema.index({ user: 1, 'totalCalories.value': -1, _id: -1 });
+foodAnalysisSchema.index({ user: 1, overallHealthScore: -1, _id: -1 });
+
 const FoodAnalysis = mongoose.model('FoodAnalysis', foodAnalysisSchema);
 
 export default FoodAnalysis;
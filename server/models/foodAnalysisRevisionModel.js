@@ -0,0 +1,52 @@
+// models/foodAnalysisRevisionModel.js
+import mongoose from 'mongoose';
+
+// One entry per state of a FoodAnalysis. Revision 0 is the original AI output,
+// recorded before the first manual correction; later revisions are user edits.
+const foodAnalysisRevisionSchema = mongoose.Schema(
+  {
+    analysis: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'FoodAnalysis',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: ['ai', 'user'],
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: {
+      type: String,
+    },
+    changes: {
+      type: [mongoose.Schema.Types.Mixed], // Operations applied to reach this revision
+      default: [],
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed, // foodItems, totals and descriptive fields after this revision
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+foodAnalysisRevisionSchema.index({ analysis: 1, revision: 1 }, { unique: true });
+
+const FoodAnalysisRevision = mongoose.model('FoodAnalysisRevision', foodAnalysisRevisionSchema);
+
+export default FoodAnalysisRevision;
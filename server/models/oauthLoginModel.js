@@ -0,0 +1,57 @@
+// models/oauthLoginModel.js
+import mongoose from 'mongoose';
+
+// One browser OAuth login (Google web flow) from the redirect to the provider until the
+// client exchanges the one-time code for tokens. Only hashes of the provider `state`
+// and of the code are stored; the PKCE challenge and the client's state are checked
+// at the exchange.
+const oauthLoginSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    stateHash: {
+      type: String, // State sent to the provider, ties its callback to this login
+      required: true,
+      unique: true,
+    },
+    clientState: {
+      type: String, // State chosen by the client, returned with the code and checked at the exchange
+      required: true,
+    },
+    codeChallenge: {
+      type: String, // PKCE S256 challenge: base64url(sha256(code_verifier))
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId, // Set when the provider callback succeeds
+      ref: 'User',
+    },
+    codeHash: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    callbackAt: {
+      type: Date,
+    },
+    exchangedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // Of the login while waiting for the provider, then of the code
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired logins are removed by MongoDB
+oauthLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthLogin = mongoose.model('OAuthLogin', oauthLoginSchema);
+
+export default OAuthLogin;
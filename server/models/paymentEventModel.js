@@ -0,0 +1,29 @@
+// models/paymentEventModel.js
+import mongoose from 'mongoose';
+
+// Webhook events already handled. The unique event id makes deliveries idempotent:
+// the payment provider retries, but each event is applied once.
+const paymentEventSchema = mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    purchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Purchase',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
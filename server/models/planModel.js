@@ -0,0 +1,59 @@
+// models/planModel.js
+import mongoose from 'mongoose';
+
+// Subscription plan. Users reference a plan by its `key`; allowances are granted
+// on each user's billing anniversary by services/planService.js.
+const planSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    monthlyAllowance: {
+      type: Number, // Credits granted at every renewal
+      required: true,
+      min: 0,
+    },
+    rolloverLimit: {
+      type: Number, // Unused credits carried into the next period; the rest expire (0 = no rollover)
+      default: 0,
+      min: 0,
+    },
+    creditCap: {
+      type: Number, // Highest balance a user on this plan can hold (renewals and top-ups)
+      required: true,
+      min: 0,
+    },
+    active: {
+      type: Boolean, // Inactive plans cannot be assigned to users
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Plans created at startup when missing; admins can edit them afterwards
+export const DEFAULT_PLANS = [
+  { key: 'free', name: 'Free', monthlyAllowance: 100, rolloverLimit: 0, creditCap: 1000 },
+  { key: 'pro', name: 'Pro', monthlyAllowance: 1000, rolloverLimit: 500, creditCap: 5000 },
+  { key: 'team', name: 'Team', monthlyAllowance: 5000, rolloverLimit: 5000, creditCap: 20000 },
+];
+
+// Find a plan by key, falling back to the built-in definition before plans are seeded
+planSchema.statics.findByKey = async function (key) {
+  const plan = await this.findOne({ key });
+  return plan || DEFAULT_PLANS.find(defaultPlan => defaultPlan.key === key) || null;
+};
+
+const Plan = mongoose.model('Plan', planSchema);
+
+export default Plan;
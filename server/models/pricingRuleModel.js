@@ -0,0 +1,92 @@
+// models/pricingRuleModel.js
+import mongoose from 'mongoose';
+
+const modelMultiplierSchema = mongoose.Schema(
+  {
+    match: {
+      type: String, // 'provider:model', a model name or a provider name (most specific match wins)
+      required: true,
+      trim: true,
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const planDiscountSchema = mongoose.Schema(
+  {
+    plan: {
+      type: String, // Plan key
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    percent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+// Credit price of an API endpoint (services/pricingService.js). A request costs
+// (baseCost + unitCost x units) x model multiplier x (1 - plan discount), rounded up.
+const pricingRuleSchema = mongoose.Schema(
+  {
+    endpointPath: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    baseCost: {
+      type: Number, // Charged once per request
+      default: 0,
+      min: 0,
+    },
+    unitCost: {
+      type: Number, // Charged per billable unit (uploaded image)
+      default: 1,
+      min: 0,
+    },
+    modelMultipliers: {
+      type: [modelMultiplierSchema],
+      default: [],
+    },
+    planDiscounts: {
+      type: [planDiscountSchema],
+      default: [],
+    },
+    exemptPlans: {
+      type: [String], // Plan keys that use this endpoint for free
+      default: [],
+    },
+    active: {
+      type: Boolean, // Inactive rules are ignored (the endpoint falls back to 1 credit per unit)
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Rules created at startup when missing; admins can edit them afterwards
+export const DEFAULT_PRICING_RULES = [
+  { endpointPath: '/api/estimate-calories', description: 'Per uploaded image', baseCost: 0, unitCost: 1 },
+  { endpointPath: '/api/estimate-calories/text', description: 'Text-only estimation, no image', baseCost: 0, unitCost: 1 },
+  { endpointPath: '/api/estimate-calories/batch', description: 'Per image, failed images are refunded', baseCost: 0, unitCost: 1 },
+];
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+
+export default PricingRule;
@@ -0,0 +1,64 @@
+// models/purchaseModel.js
+import mongoose from 'mongoose';
+
+// A credit pack purchase, from checkout to payment and possible refund or chargeback
+const purchaseSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    pack: {
+      type: String, // CreditPack key at the time of purchase
+      required: true,
+    },
+    credits: {
+      type: Number,
+      required: true,
+    },
+    amountCents: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'refunded', 'disputed'],
+      default: 'pending',
+    },
+    checkoutSessionId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    paymentIntentId: {
+      type: String,
+      index: true,
+      sparse: true,
+    },
+    creditsGranted: {
+      type: Number,
+      default: 0,
+    },
+    creditsReversed: {
+      type: Number, // Taken back after refunds or chargebacks
+      default: 0,
+    },
+    paidAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+purchaseSchema.index({ user: 1, createdAt: -1 });
+
+const Purchase = mongoose.model('Purchase', purchaseSchema);
+
+export default Purchase;
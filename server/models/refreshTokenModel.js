@@ -0,0 +1,57 @@
+// models/refreshTokenModel.js
+import mongoose from 'mongoose';
+
+// A refresh token of a login session. Only its SHA-256 hash is stored. Each use
+// replaces it with a new token of the same `family`; presenting a replaced token
+// again means it leaked, and the whole family is revoked.
+const refreshTokenSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String, // Shared by all tokens rotated from the same login
+      required: true,
+      index: true,
+    },
+    tokenVersion: {
+      type: Number, // User.tokenVersion when issued; a newer version invalidates the token
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Token issued when this one was rotated
+      ref: 'RefreshToken',
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
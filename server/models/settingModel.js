@@ -0,0 +1,33 @@
+// models/settingModel.js
+import mongoose from 'mongoose';
+
+// Values used while a setting has never been changed
+export const DEFAULT_SETTINGS = {
+  requireAdminTwoFactor: false, // Admin routes need two-factor authentication enabled on the admin's account
+};
+
+// Application-wide setting changed at runtime by admins (see services/settingsService.js)
+const settingSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: Object.keys(DEFAULT_SETTINGS),
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
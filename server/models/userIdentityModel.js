@@ -0,0 +1,38 @@
+// models/userIdentityModel.js
+import mongoose from 'mongoose';
+
+// An external sign-in account (Google, Apple or a generic OIDC provider) linked to a
+// user. A user can have several; each provider account belongs to one user.
+const userIdentitySchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    provider: {
+      type: String, // "google", "apple" or a name from OIDC_PROVIDERS
+      required: true,
+    },
+    subject: {
+      type: String, // `sub` claim: the provider's stable account ID
+      required: true,
+    },
+    email: {
+      type: String, // Email reported by the provider at the last sign-in (Apple may use a relay address)
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+userIdentitySchema.index({ user: 1 });
+
+const UserIdentity = mongoose.model('UserIdentity', userIdentitySchema);
+
+export default UserIdentity;
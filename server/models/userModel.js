@@ -1,6 +1,11 @@
 // models/userModel.js
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { isValidTimeZone, addMonthsClamped } from '../utils/timezone.js';
+
+// Credits every new account starts with. No transaction is written for them, so
+// ledger reconciliation (services/ledgerService.js) uses this as the opening balance.
+export const STARTING_CREDITS = 100;
 
 const userSchema = mongoose.Schema(
   {
@@ -15,20 +20,25 @@ const userSchema = mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean, // Set by the verification link (services/accountService.js) or Google sign-in
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
     password: {
-      type: String,
-      required: function() {
-        return !this.googleId; // Password is required only if googleId is not present
-      },
+      type: String, // Unset for accounts that only sign in with Google, Apple or OIDC (registration checks it)
     },
     googleId: {
-      type: String,
+      type: String, // Legacy Google link; identities now live in models/userIdentityModel.js
       unique: true,
       sparse: true, // This allows null values and only enforces uniqueness on non-null values
     },
     apiKey: {
-      type: String,
+      type: String, // Legacy plaintext key, moved to models/apiKeyModel.js by services/apiKeyService.js
       unique: true,
+      sparse: true,
     },
     apiCreditsUsed: {
       type: Number,
@@ -36,21 +46,108 @@ const userSchema = mongoose.Schema(
     },
     apiCreditsTotal: {
       type: Number,
-      default: 100,
+      default: STARTING_CREDITS,
+    },
+    apiCreditsPurchased: {
+      type: Number, // Part of the balance bought with credit packs; never expires at renewal
+      default: 0,
+    },
+    plan: {
+      type: String, // Plan key (see models/planModel.js)
+      default: 'free',
+    },
+    billingCycleAnchor: {
+      type: Date, // Renewals happen on the monthly anniversary of this date
+      default: Date.now,
+    },
+    currentPeriodEnd: {
+      type: Date, // Next renewal
+      default: () => addMonthsClamped(new Date(), 1),
+    },
+    notifications: {
+      email: {
+        type: Boolean, // Low-balance emails
+        default: true,
+      },
+      webhookUrl: {
+        type: String, // Receives signed low-balance events
+      },
+      webhookSecret: {
+        type: String,
+      },
+    },
+    creditAlerts: {
+      type: [String], // Alert thresholds already notified (see services/notificationService.js)
+      default: [],
     },
     isAdmin: {
       type: Boolean,
       required: true,
       default: false,
     },
+    isActive: {
+      type: Boolean, // Deactivated accounts cannot log in or use their tokens and API keys
+      default: true,
+    },
+    twoFactor: {
+      // TOTP two-factor authentication (see services/twoFactorService.js). Secrets are never selected by default.
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String, // Base32 TOTP secret
+        select: false,
+      },
+      pendingSecret: {
+        type: String, // Secret of an enrollment not confirmed with a code yet
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String], // SHA-256 hashes of the unused recovery codes
+        default: undefined,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      lastUsedStep: {
+        type: Number, // Time step of the last accepted code; codes are single-use
+      },
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: {
+        type: Date, // Set after too many wrong codes
+      },
+    },
+    tokenVersion: {
+      type: Number, // Embedded in access tokens; incrementing it ends all sessions (see services/sessionService.js)
+      default: 0,
+    },
+    timezone: {
+      type: String,
+      default: 'UTC', // IANA time zone used for day boundaries in history and summaries
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `${props.value} is not a valid time zone`,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Hash password before saving
+// Hash the password and reset email verification before saving
 userSchema.pre('save', async function (next) {
+  // An address changed after sign-up has to be verified again
+  if (this.isModified('email') && !this.isNew && !this.isModified('emailVerified')) {
+    this.emailVerified = false;
+    this.emailVerifiedAt = undefined;
+  }
+
   // Only hash the password if it's modified and exists (Google users won't have a password)
   if (!this.isModified('password') || !this.password) {
     return next();
@@ -58,6 +155,11 @@ userSchema.pre('save', async function (next) {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // A new password logs out every existing session
+  if (!this.isNew) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
 });
 
 // Check if password matches
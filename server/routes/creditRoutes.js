@@ -2,6 +2,8 @@
 import express from 'express';
 import { protect, admin } from '../middleware/authMiddleware.js';
 import creditService from '../services/creditService.js';
+import planService from '../services/planService.js';
+import ledgerService from '../services/ledgerService.js';
 import CreditTransaction from '../models/creditTransactionModel.js';
 
 const router = express.Router();
@@ -86,6 +88,32 @@ router.post('/:userId/reset', protect, admin, async (req, res) => {
   }
 });
 
+// @desc    Move a user to another plan (admin only)
+// @route   PUT /api/credits/:userId/plan
+// @access  Admin
+router.put('/:userId/plan', protect, admin, async (req, res) => {
+  try {
+    const { plan } = req.body;
+    const { userId } = req.params;
+
+    if (!plan) {
+      return res.status(400).json({ message: 'Please provide a plan' });
+    }
+
+    const result = await planService.changePlan(userId, String(plan).toLowerCase());
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @desc    Get all credit transactions (admin only)
 // @route   GET /api/credits/all
 // @access  Admin
@@ -116,6 +144,46 @@ router.get('/all', protect, admin, async (req, res) => {
   }
 });
 
+// @desc    Check stored balances against the credit ledger (admin only)
+// @route   GET /api/credits/reconcile
+// @access  Admin
+router.get('/reconcile', protect, admin, async (req, res) => {
+  try {
+    const result = await ledgerService.reconcile({ userId: req.query.userId });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Reconcile balances and write correcting adjustments (admin only)
+// @route   POST /api/credits/reconcile
+// @access  Admin
+router.post('/reconcile', protect, admin, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const result = await ledgerService.reconcile({ userId, fix: true });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @desc    Get a user's credit transactions (admin only)
 // @route   GET /api/credits/:userId/history
 // @access  Admin
@@ -2,53 +2,143 @@
 import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
 import FoodAnalysis from '../models/foodAnalysisModel.js';
+import FoodAnalysisRevision from '../models/foodAnalysisRevisionModel.js';
+import nutritionSummaryService from '../services/nutritionSummaryService.js';
+import analysisEditService from '../services/analysisEditService.js';
+import imageStorage from '../services/imageStorage/index.js';
 import logger from '../utils/logger.js';
+import { getDayRange, resolveRequestTimeZone } from '../utils/timezone.js';
+import { serializeAnalysis, serializeAnalyses } from '../utils/analysisSerializer.js';
+import { parseListQuery, applyCursor, buildSort, encodeCursor, DEFAULT_LIMIT, LEGACY_DEFAULT_LIMIT } from '../utils/analysisListQuery.js';
 
 const router = express.Router();
 
-// @desc    Get all food analyses for the logged in user with optional date filtering
-// @route   GET /api/food-analyses
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// List handler shared by GET / and the legacy GET /all
+const listAnalyses = async (req, res) => {
   try {
     const { date } = req.query;
     let query = { user: req.user._id };
+
+    // Version 1 clients predate pagination, so their default page is the largest one
+    const listQuery = parseListQuery(req.query, { defaultLimit: req.apiVersion >= 2 ? DEFAULT_LIMIT : LEGACY_DEFAULT_LIMIT });
+    if (!listQuery.success) {
+      return res.status(listQuery.statusCode).json({ message: listQuery.message });
+    }
     
     // Filter by createdAt date if provided
     if (date) {
-      logger.info(`Filtering food analyses by date`, { date, userId: req.user._id });
+      const tzResult = resolveRequestTimeZone(req);
+      if (!tzResult.success) {
+        return res.status(tzResult.statusCode).json({ message: tzResult.message });
+      }
+
+      logger.info(`Filtering food analyses by date`, { date, timeZone: tzResult.timeZone, userId: req.user._id });
       
       // Extract the date part from the ISO string (YYYY-MM-DD)
       const dateOnly = date.split('T')[0];
       
-      // Create start and end dates for the day in UTC
-      const startDate = new Date(`${dateOnly}T00:00:00.000Z`);
-      const endDate = new Date(`${dateOnly}T23:59:59.999Z`);
+      // Local midnight to local midnight in the user's time zone
+      const { startDate, endDate } = getDayRange(dateOnly, tzResult.timeZone);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+      }
       
       // Add date range query for createdAt
       query.createdAt = {
         $gte: startDate,
-        $lte: endDate
+        $lt: endDate
       };
       
       logger.debug(`Date range for query`, { startDate: startDate.toISOString(), endDate: endDate.toISOString() });
     }
     
-    const analyses = await FoodAnalysis.find(query)
-      .sort({ createdAt: -1 }) // Most recent first
-      .select('-__v'); // Exclude version key
+    const total = await FoodAnalysis.countDocuments(query);
+
+    // Fetch one extra record to know whether another page exists
+    const results = await FoodAnalysis.find(applyCursor(query, listQuery))
+      .sort(buildSort(listQuery))
+      .select(listQuery.projection)
+      .limit(listQuery.limit + 1);
+
+    const hasMore = results.length > listQuery.limit;
+    const analyses = hasMore ? results.slice(0, listQuery.limit) : results;
+    const nextCursor = hasMore ? encodeCursor(analyses[analyses.length - 1], listQuery.sort, listQuery.order, listQuery.page + 1) : null;
+    const pages = Math.ceil(total / listQuery.limit);
     
     logger.info(`Found ${analyses.length} analyses for user`, { 
       count: analyses.length, 
       userId: req.user._id, 
-      filtered: !!date
+      filtered: !!date,
+      hasMore
+    });
+
+    res.set('X-Total-Count', String(total));
+    res.set('X-Page', String(listQuery.page));
+    res.set('X-Total-Pages', String(pages));
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+
+    const serialized = serializeAnalyses(analyses, req.apiVersion);
+
+    // Version 1 keeps the bare array; pagination details are in the headers
+    if (req.apiVersion < 2) {
+      return res.status(200).json(serialized);
+    }
+
+    // Same pagination shape as GET /api/credits/all, plus the cursor of the next page
+    res.status(200).json({
+      analyses: serialized,
+      pagination: {
+        total,
+        page: listQuery.page,
+        pages,
+        limit: listQuery.limit,
+        nextCursor,
+        hasMore
+      }
     });
-    
-    res.status(200).json(analyses);
   } catch (error) {
     logger.error(`Error fetching food analyses for user ${req.user._id}`, error);
     res.status(500).json({ message: 'Failed to fetch food analyses' });
   }
+};
+
+// @desc    Get food analyses for the logged in user with optional date filtering, cursor pagination, sorting and projection
+// @route   GET /api/food-analyses?date=YYYY-MM-DD&tz=Area/City&limit=20&cursor=...&sort=createdAt&order=desc&fields=...
+// @access  Private
+router.get('/', protect, listAnalyses);
+
+// @desc    Get nutrition totals per day, week or month for the logged in user
+// @route   GET /api/food-analyses/summary?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|week|month&tz=Area/City
+// @access  Private
+router.get('/summary', protect, async (req, res) => {
+  try {
+    const tzResult = resolveRequestTimeZone(req);
+    if (!tzResult.success) {
+      return res.status(tzResult.statusCode).json({ message: tzResult.message });
+    }
+
+    const result = await nutritionSummaryService.getSummary(req.user._id, req.query, tzResult.timeZone);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    logger.info(`Nutrition summary built for user`, {
+      userId: req.user._id,
+      groupBy: result.groupBy,
+      buckets: result.buckets.length
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`Error building nutrition summary for user ${req.user._id}`, error);
+    res.status(500).json({ message: 'Failed to build nutrition summary' });
+  }
 });
 
 // @desc    Get a specific food analysis by ID
@@ -56,16 +146,10 @@ router.get('/', protect, async (req, res) => {
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
-    // Special case for "all" which was causing ObjectId casting errors
+    // Special case for "all" which was causing ObjectId casting errors: same paginated list as the base endpoint
     if (req.params.id === 'all') {
       logger.info('Redirecting /all request to base endpoint', { userId: req.user._id });
-      // Return all analyses for this user without the ID filter
-      const allAnalyses = await FoodAnalysis.find({ user: req.user._id })
-        .sort({ createdAt: -1 })
-        .select('-__v');
-      
-      logger.info(`Found ${allAnalyses.length} analyses for all request`, { userId: req.user._id });
-      return res.status(200).json(allAnalyses);
+      return listAnalyses(req, res);
     }
     
     // Normal case - looking up by ID
@@ -82,7 +166,7 @@ router.get('/:id', protect, async (req, res) => {
     }
     
     logger.info(`Food analysis retrieved successfully`, { id: req.params.id });
-    res.status(200).json(analysis);
+    res.status(200).json(serializeAnalysis(analysis, req.apiVersion));
   } catch (error) {
     logger.error(`Error fetching food analysis with ID ${req.params.id}`, error);
     
@@ -98,6 +182,128 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Correct a food analysis (rename, change portion, add or remove items); totals are recomputed
+// @route   PATCH /api/food-analyses/:id
+// @access  Private
+router.patch('/:id', protect, async (req, res) => {
+  try {
+    const result = await analysisEditService.updateAnalysis(req.params.id, req.user, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    logger.info(`Food analysis corrected`, { id: req.params.id, userId: req.user._id, revision: result.revision });
+    res.status(200).json(serializeAnalysis(result.analysis, req.apiVersion));
+  } catch (error) {
+    logger.error(`Error updating food analysis with ID ${req.params.id}`, error);
+    res.status(500).json({ message: 'Failed to update food analysis' });
+  }
+});
+
+// @desc    Get the revision history of a food analysis (revision 0 is the original AI output)
+// @route   GET /api/food-analyses/:id/revisions
+// @access  Private
+router.get('/:id/revisions', protect, async (req, res) => {
+  try {
+    const result = await analysisEditService.getRevisions(req.params.id, req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.status(200).json(result.revisions);
+  } catch (error) {
+    logger.error(`Error fetching revisions for food analysis ${req.params.id}`, error);
+    res.status(500).json({ message: 'Failed to fetch food analysis revisions' });
+  }
+});
+
+// @desc    Stream an image of a food analysis (or its thumbnail with ?size=thumb); ?index picks a photo of multi-image meals
+// @route   GET /api/food-analyses/:id/image?size=full|thumb&index=0
+// @access  Private
+router.get('/:id/image', protect, async (req, res) => {
+  try {
+    const analysis = await FoodAnalysis.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    }).select('+image.data');
+
+    if (!analysis || !analysis.image || (!analysis.image.storageKey && !analysis.image.data)) {
+      logger.warn(`Food analysis image not found`, { id: req.params.id, userId: req.user._id });
+      return res.status(404).json({ message: 'Food analysis image not found' });
+    }
+
+    const { size = 'full', index = '0' } = req.query;
+    if (!['full', 'thumb'].includes(size)) {
+      return res.status(400).json({ message: `Invalid size '${size}'. Use 'full' or 'thumb'` });
+    }
+
+    // Index 0 is the primary image, 1..n the additional photos of a multi-image upload
+    const images = [analysis.image, ...(analysis.additionalImages || [])];
+    const imageIndex = Number(index);
+    if (!Number.isInteger(imageIndex) || imageIndex < 0 || imageIndex >= images.length) {
+      return res.status(404).json({ message: 'Food analysis image not found' });
+    }
+    const selectedImage = images[imageIndex];
+
+    // Records without a thumbnail (legacy or unprocessable uploads) fall back to the full image
+    const useThumbnail = size === 'thumb' && !!selectedImage.thumbnailKey;
+    const storageKey = useThumbnail ? selectedImage.thumbnailKey : selectedImage.storageKey;
+
+    // Stored images never change, so the key (or the record ID for legacy images) is a stable ETag
+    const etag = `"${storageKey || analysis._id}"`;
+    const cacheHeaders = {
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'ETag': etag,
+    };
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.set(cacheHeaders).status(304).end();
+    }
+
+    const contentType = (useThumbnail ? selectedImage.thumbnailContentType : selectedImage.contentType) || 'application/octet-stream';
+
+    // Legacy records not yet moved by scripts/migrateImages.js
+    if (!storageKey) {
+      return res.set(cacheHeaders).type(contentType).status(200).send(Buffer.from(analysis.image.data, 'base64'));
+    }
+
+    const stored = await imageStorage.getImage(storageKey);
+    if (!stored) {
+      logger.warn(`Image missing from storage`, { id: req.params.id, storageKey });
+      return res.status(404).json({ message: 'Food analysis image not found' });
+    }
+
+    res.set(cacheHeaders).type(contentType);
+    if (stored.contentLength !== undefined) {
+      res.set('Content-Length', String(stored.contentLength));
+    }
+
+    stored.stream.on('error', (streamError) => {
+      logger.error(`Error streaming image for food analysis ${req.params.id}`, streamError);
+      res.destroy(streamError);
+    });
+    stored.stream.pipe(res);
+  } catch (error) {
+    logger.error(`Error fetching image for food analysis ${req.params.id}`, error);
+
+    // Specific error for ObjectId casting issues
+    if (error.name === 'CastError' && error.kind === 'ObjectId') {
+      return res.status(400).json({ 
+        message: 'Invalid ID format', 
+        details: `The provided ID '${req.params.id}' is not a valid MongoDB ObjectId`
+      });
+    }
+
+    res.status(500).json({ message: 'Failed to fetch food analysis image' });
+  }
+});
+
 // @desc    Delete a food analysis
 // @route   DELETE /api/food-analyses/:id
 // @access  Private
@@ -114,6 +320,18 @@ router.delete('/:id', protect, async (req, res) => {
       logger.warn(`Food analysis not found for deletion`, { id: req.params.id, userId: req.user._id });
       return res.status(404).json({ message: 'Food analysis not found' });
     }
+
+    const storageKeys = [analysis.image, ...(analysis.additionalImages || [])]
+      .filter(Boolean)
+      .flatMap(image => [image.storageKey, image.thumbnailKey])
+      .filter(Boolean);
+    for (const storageKey of storageKeys) {
+      await imageStorage.deleteImage(storageKey).catch((storageError) => {
+        logger.warn(`Failed to delete image for food analysis`, { id: req.params.id, storageKey, error: storageError });
+      });
+    }
+
+    await FoodAnalysisRevision.deleteMany({ analysis: analysis._id });
     
     logger.info(`Food analysis deleted successfully`, { id: req.params.id, userId: req.user._id });
     res.status(200).json({ message: 'Food analysis deleted' });
@@ -0,0 +1,36 @@
+// routes/jobRoutes.js
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import batchEstimationService from '../services/batchEstimationService.js';
+import logger from '../utils/logger.js';
+import { serializeAnalysis } from '../utils/analysisSerializer.js';
+
+const router = express.Router();
+
+// @desc    Get progress and per-item results of a batch estimation job
+// @route   GET /api/jobs/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const result = await batchEstimationService.getJob(req.params.id, req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    const job = result.job.toObject();
+    job.items = job.items.map(item => ({
+      ...item,
+      analysis: item.analysis ? serializeAnalysis(item.analysis, req.apiVersion) : undefined,
+    }));
+
+    res.status(200).json(job);
+  } catch (error) {
+    logger.error(`Error fetching job ${req.params.id}`, error);
+    res.status(500).json({ message: 'Failed to fetch job' });
+  }
+});
+
+export default router;
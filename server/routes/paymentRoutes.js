@@ -0,0 +1,81 @@
+// routes/paymentRoutes.js
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import paymentService from '../services/paymentService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// @desc    List credit packs available for purchase
+// @route   GET /api/payments/packs
+// @access  Public
+router.get('/packs', async (req, res) => {
+  try {
+    const packs = await paymentService.listPacks();
+    res.json(packs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Start a checkout session for a credit pack
+// @route   POST /api/payments/checkout
+// @access  Private
+router.post('/checkout', protect, async (req, res) => {
+  try {
+    const { pack } = req.body;
+
+    if (!pack) {
+      return res.status(400).json({ message: 'Please provide a credit pack' });
+    }
+
+    const result = await paymentService.createCheckoutSession(req.user, pack);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`Error starting checkout for user ${req.user._id}`, error);
+    res.status(500).json({ message: 'Failed to create checkout session' });
+  }
+});
+
+// @desc    Get the logged in user's credit pack purchases
+// @route   GET /api/payments/purchases
+// @access  Private
+router.get('/purchases', protect, async (req, res) => {
+  try {
+    const purchases = await paymentService.listPurchases(req.user._id);
+    res.json(purchases);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Receive payment provider events (signed, Stripe-compatible). Needs the raw body,
+//          so app.js mounts express.raw() on this path before the JSON parser.
+// @route   POST /api/payments/webhook
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const result = await paymentService.handleWebhook(rawBody, req.headers['stripe-signature']);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ received: true, duplicate: !!result.duplicate, handled: result.handled });
+  } catch (error) {
+    logger.error('Error handling payment webhook', error);
+    res.status(500).json({ message: 'Failed to process event' });
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+// routes/planRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import planService from '../services/planService.js';
+
+const router = express.Router();
+
+// @desc    List subscription plans
+// @route   GET /api/plans
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const plans = await planService.listPlans(false);
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    List all plans, including inactive ones (admin only)
+// @route   GET /api/plans/all
+// @access  Admin
+router.get('/all', protect, admin, async (req, res) => {
+  try {
+    const plans = await planService.listPlans(true);
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Update a plan's allowance, rollover limit, cap or availability (admin only)
+// @route   PUT /api/plans/:key
+// @access  Admin
+router.put('/:key', protect, admin, async (req, res) => {
+  try {
+    const result = await planService.updatePlan(req.params.key, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json(result.plan);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+// routes/pricingRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import pricingService from '../services/pricingService.js';
+
+const router = express.Router();
+
+// @desc    List credit pricing rules (admin only)
+// @route   GET /api/pricing
+// @access  Admin
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const rules = await pricingService.listRules();
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get the price of a request for the logged in user
+// @route   GET /api/pricing/quote
+// @access  Private
+router.get('/quote', protect, async (req, res) => {
+  try {
+    const { endpoint, provider, model } = req.query;
+    const units = req.query.units === undefined ? 1 : parseInt(req.query.units, 10);
+
+    if (!endpoint) {
+      return res.status(400).json({ message: 'Please provide an endpoint' });
+    }
+    if (isNaN(units) || units < 1) {
+      return res.status(400).json({ message: 'units must be a positive integer' });
+    }
+
+    const { cost, unitCost, pricing } = await pricingService.price(req.user, endpoint, { units, provider, model });
+    res.json({ endpoint, cost, unitCost, pricing });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Create a pricing rule (admin only)
+// @route   POST /api/pricing
+// @access  Admin
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const result = await pricingService.createRule(req.body || {});
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.status(201).json(result.rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Update a pricing rule (admin only)
+// @route   PUT /api/pricing/:id
+// @access  Admin
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const result = await pricingService.updateRule(req.params.id, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json(result.rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Delete a pricing rule (admin only)
+// @route   DELETE /api/pricing/:id
+// @access  Admin
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const result = await pricingService.deleteRule(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'Pricing rule removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
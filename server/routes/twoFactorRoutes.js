@@ -0,0 +1,147 @@
+// routes/twoFactorRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import twoFactorService from '../services/twoFactorService.js';
+import settingsService from '../services/settingsService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// @desc    Get the two-factor authentication status of the logged in user
+// @route   GET /api/users/2fa
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const result = await twoFactorService.getStatus(req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({
+      enabled: result.enabled,
+      enabledAt: result.enabledAt,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+      required: result.required,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Start two-factor enrollment: get a secret and provisioning URI for an authenticator app
+// @route   POST /api/users/2fa/setup
+// @access  Private
+router.post('/setup', protect, async (req, res) => {
+  try {
+    const result = await twoFactorService.startSetup(req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ secret: result.secret, otpauthUrl: result.otpauthUrl });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Finish enrollment with a code from the app; returns recovery codes once
+// @route   POST /api/users/2fa/enable
+// @access  Private
+router.post('/enable', protect, async (req, res) => {
+  try {
+    const result = await twoFactorService.confirmSetup(req.user._id, req.body.code);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ enabled: true, recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+router.post('/recovery-codes', protect, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user._id, { code, recoveryCode });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/users/2fa/disable
+// @access  Private
+router.post('/disable', protect, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const result = await twoFactorService.disable(req.user._id, { password, code, recoveryCode });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ enabled: false });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Get the two-factor policy (admin only)
+// @route   GET /api/users/2fa/policy
+// @access  Admin
+router.get('/policy', protect, admin, async (req, res) => {
+  try {
+    res.json({ requireForAdmins: Boolean(await settingsService.get('requireAdminTwoFactor')) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Require two-factor authentication for all admin accounts (admin only)
+// @route   PUT /api/users/2fa/policy
+// @access  Admin
+router.put('/policy', protect, admin, async (req, res) => {
+  try {
+    const { requireForAdmins } = req.body;
+
+    if (typeof requireForAdmins !== 'boolean') {
+      return res.status(400).json({ message: 'requireForAdmins must be a boolean' });
+    }
+    // Otherwise the admin making the change would lock themselves out of admin routes
+    if (requireForAdmins && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Enable two-factor authentication on your own account first' });
+    }
+
+    await settingsService.set('requireAdminTwoFactor', requireForAdmins, req.user._id);
+    logger.auth(`Two-factor ${requireForAdmins ? 'required' : 'no longer required'} for admins`, { by: req.user._id });
+
+    res.json({ requireForAdmins });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
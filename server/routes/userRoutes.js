@@ -1,28 +1,37 @@
 // routes/userRoutes.js
 import express from 'express';
 import passport from 'passport';
-import jwt from 'jsonwebtoken';
-import { v4 as uuidv4 } from 'uuid';
 import User from '../models/userModel.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
+import { loginRateLimit, accountEmailRateLimit } from '../middleware/rateLimitMiddleware.js';
 import logger from '../utils/logger.js';
-import verifyGoogleIdToken from '../utils/googleTokenVerifier.js';
+import creditService from '../services/creditService.js';
+import notificationService from '../services/notificationService.js';
+import apiKeyService, { DEFAULT_KEY_NAME } from '../services/apiKeyService.js';
+import sessionService from '../services/sessionService.js';
+import accountService from '../services/accountService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import rateLimiter from '../services/rateLimit/index.js';
+import identityService from '../services/identityService.js';
+import oidcProviders from '../services/oidc/index.js';
+import oauthLoginService from '../services/oauthLoginService.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+import { checkPublicUrl } from '../utils/outboundUrl.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
-  });
-};
-
 // @desc    Register a new user
 // @route   POST /api/users
 // @access  Public
-router.post('/', async (req, res) => {
+router.post('/', loginRateLimit, async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      res.status(400);
+      throw new Error(`Invalid time zone '${timezone}'`);
+    }
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -32,25 +41,41 @@ router.post('/', async (req, res) => {
       throw new Error('User already exists');
     }
 
-    // Generate unique API key
-    const apiKey = uuidv4();
+    const weakness = validatePassword(password, { email, name });
+    if (weakness) {
+      res.status(400);
+      throw new Error(weakness);
+    }
 
     // Create user
     const user = await User.create({
       name,
       email,
       password,
-      apiKey,
+      timezone,
     });
 
     if (user) {
+      // Default API key; the full key is only returned here
+      const keyResult = await apiKeyService.createKey(user._id, { name: DEFAULT_KEY_NAME });
+
+      const verification = await accountService.sendVerificationEmail(user).catch((error) => {
+        logger.error('Error sending verification email', { userId: user._id, error: error.message }, 'auth');
+        return { success: false };
+      });
+
+      // Without a verified address there is no session yet when verification is required
+      const session = accountService.isVerificationRequired() ? {} : await sessionService.createSession(user, req);
+
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-        apiKey: user.apiKey,
-        token: generateToken(user._id),
+        emailVerified: user.emailVerified,
+        verificationEmailSent: Boolean(verification.emailSent),
+        apiKey: keyResult.success ? keyResult.key : null,
+        ...session,
       });
     } else {
       res.status(400);
@@ -64,24 +89,53 @@ router.post('/', async (req, res) => {
 // @desc    Auth user & get token
 // @route   POST /api/users/login
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const account = String(email || '').trim().toLowerCase();
+
+    // Repeated failures lock the account (known or not) for increasing periods
+    const lock = await rateLimiter.checkLoginLock(account);
+    if (lock.locked) {
+      const seconds = Math.max(1, Math.ceil(lock.retryAfterMs / 1000));
+      res.set('Retry-After', String(seconds));
+      return res.status(429).json({
+        message: `Too many failed login attempts. Please try again in ${seconds} seconds.`,
+        retryAfter: seconds
+      });
+    }
 
     // Find user by email
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: account });
 
     // Check if user exists and password matches
-    if (user && (await user.matchPassword(password))) {
+    if (user && user.password && (await user.matchPassword(String(password || '')))) {
+      await rateLimiter.clearLoginFailures(account);
+
+      if (user.isActive === false) {
+        return res.status(403).json({ message: 'Account is deactivated' });
+      }
+      if (accountService.isVerificationRequired() && !user.emailVerified) {
+        return res.status(403).json({ message: 'Please verify your email address before logging in' });
+      }
+
+      // Accounts with two-factor get a challenge; the session comes from POST /api/users/login/2fa
+      if (user.twoFactor?.enabled) {
+        return res.json(twoFactorService.createChallenge(user));
+      }
+
+      const session = await sessionService.createSession(user, req);
+
       res.json({
         _id: user._id,
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-        apiKey: user.apiKey,
-        token: generateToken(user._id),
+        emailVerified: user.emailVerified,
+        ...session,
       });
     } else {
+      await rateLimiter.recordLoginFailure(account);
       res.status(401);
       throw new Error('Invalid email or password');
     }
@@ -90,6 +144,220 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @desc    Second login step for accounts with two-factor: exchange the challenge token and a code for a session
+// @route   POST /api/users/login/2fa
+// @access  Public
+router.post('/login/2fa', loginRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken) {
+      return res.status(400).json({ message: 'Please provide the challenge token from the login response' });
+    }
+
+    const result = await twoFactorService.completeChallenge(challengeToken, { code, recoveryCode });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    const { user } = result;
+    const session = await sessionService.createSession(user, req);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      emailVerified: user.emailVerified,
+      ...session,
+    });
+  } catch (error) {
+    logger.error('Error completing two-factor login', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error logging in' });
+  }
+});
+
+// @desc    Get a new access token with a refresh token (the refresh token is replaced)
+// @route   POST /api/users/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await sessionService.refresh(req.body.refreshToken, req);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+    });
+  } catch (error) {
+    logger.error('Error refreshing session', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error refreshing session' });
+  }
+});
+
+// @desc    Log out: revoke a refresh token
+// @route   POST /api/users/logout
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const result = await sessionService.revokeSession(req.body.refreshToken);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    logger.error('Error logging out', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error logging out' });
+  }
+});
+
+// @desc    Log out on all devices: invalidate every access and refresh token of the user
+// @route   POST /api/users/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await sessionService.revokeAllSessions(req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'Logged out on all devices' });
+  } catch (error) {
+    logger.error('Error logging out all sessions', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error logging out' });
+  }
+});
+
+// @desc    Verify the email address with the token from the verification email
+// @route   POST /api/users/verify-email
+// @access  Public
+router.post('/verify-email', accountEmailRateLimit, async (req, res) => {
+  try {
+    const result = await accountService.verifyEmail(req.body.token);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'Email address verified', emailVerified: true });
+  } catch (error) {
+    logger.error('Error verifying email', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+});
+
+// @desc    Send the verification email again
+// @route   POST /api/users/verify-email/resend
+// @access  Public
+router.post('/verify-email/resend', accountEmailRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Please provide an email address' });
+    }
+
+    // Same answer for unknown and already verified addresses, so registered emails cannot be probed
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user && !user.emailVerified && user.isActive !== false) {
+      const result = await accountService.sendVerificationEmail(user);
+      if (!result.success && result.statusCode === 429) {
+        return res.status(429).json({ message: result.message });
+      }
+    }
+
+    res.json({ message: 'If the address belongs to an unverified account, a verification email has been sent' });
+  } catch (error) {
+    logger.error('Error resending verification email', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/users/forgot-password
+// @access  Public
+router.post('/forgot-password', accountEmailRateLimit, async (req, res) => {
+  try {
+    const result = await accountService.requestPasswordReset(req.body.email);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'If the address belongs to an account, a password reset email has been sent' });
+  } catch (error) {
+    logger.error('Error requesting password reset', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error requesting password reset' });
+  }
+});
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/users/reset-password
+// @access  Public
+router.post('/reset-password', accountEmailRateLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const result = await accountService.resetPassword(token, password);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    logger.error('Error resetting password', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+});
+
+// @desc    Change password (logs out every other session)
+// @route   PUT /api/users/password
+// @access  Private
+router.put('/password', protect, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const result = await accountService.changePassword(req.user._id, currentPassword, newPassword);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    // The change revoked all tokens, including this one; continue with a new session
+    const session = await sessionService.createSession(result.user, req);
+
+    res.json({
+      message: 'Password changed',
+      ...session,
+    });
+  } catch (error) {
+    logger.error('Error changing password', { error: error.message }, 'auth');
+    res.status(500).json({ message: 'Server error changing password' });
+  }
+});
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -103,10 +371,13 @@ router.get('/profile', protect, async (req, res) => {
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
-        apiKey: user.apiKey,
+        emailVerified: user.emailVerified,
         apiCreditsUsed: user.apiCreditsUsed,
         apiCreditsTotal: user.apiCreditsTotal,
         apiCreditsRemaining: user.apiCreditsTotal - user.apiCreditsUsed,
+        plan: user.plan,
+        currentPeriodEnd: user.currentPeriodEnd,
+        timezone: user.timezone,
       });
     } else {
       res.status(404);
@@ -117,27 +388,230 @@ router.get('/profile', protect, async (req, res) => {
   }
 });
 
-// @desc    Regenerate API key
+// @desc    Update user profile (name, timezone)
+// @route   PUT /api/users/profile
+// @access  Private
+router.put('/profile', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { name, timezone } = req.body;
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: `Invalid time zone '${timezone}'. Use an IANA name such as 'Asia/Bangkok'` });
+    }
+
+    user.name = name || user.name;
+    user.timezone = timezone || user.timezone;
+
+    const updatedUser = await user.save();
+
+    res.json({
+      _id: updatedUser._id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      isAdmin: updatedUser.isAdmin,
+      timezone: updatedUser.timezone,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Response body for notification settings
+const notificationSettings = (user) => ({
+  email: user.notifications?.email !== false,
+  webhookUrl: user.notifications?.webhookUrl || null,
+  webhookSecret: user.notifications?.webhookSecret || null,
+});
+
+// @desc    Get low-balance notification settings
+// @route   GET /api/users/notifications
+// @access  Private
+router.get('/notifications', protect, async (req, res) => {
+  res.json(notificationSettings(req.user));
+});
+
+// @desc    Update low-balance notification settings (email on/off, webhook URL)
+// @route   PUT /api/users/notifications
+// @access  Private
+router.put('/notifications', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { email, webhookUrl, rotateSecret } = req.body;
+
+    if (email !== undefined) {
+      if (typeof email !== 'boolean') {
+        return res.status(400).json({ message: 'email must be true or false' });
+      }
+      user.notifications.email = email;
+    }
+
+    if (webhookUrl !== undefined) {
+      if (webhookUrl) {
+        // Loopback, private and link-local destinations are refused (server-side request forgery)
+        const problem = typeof webhookUrl === 'string' ? await checkPublicUrl(webhookUrl) : 'must be an http(s) URL';
+        if (problem) {
+          return res.status(400).json({ message: `webhookUrl ${problem}` });
+        }
+      }
+      user.notifications.webhookUrl = webhookUrl || undefined;
+    }
+
+    // Every webhook is signed; a secret is created with the first URL
+    if (user.notifications.webhookUrl && (!user.notifications.webhookSecret || rotateSecret)) {
+      user.notifications.webhookSecret = notificationService.generateWebhookSecret();
+    }
+
+    const updatedUser = await user.save();
+
+    res.json(notificationSettings(updatedUser));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// @desc    List the logged in user's API keys (prefixes only)
+// @route   GET /api/users/api-keys
+// @access  Private
+router.get('/api-keys', protect, async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.user._id);
+    res.json(keys);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Create a named API key with scopes and optional expiry
+// @route   POST /api/users/api-keys
+// @access  Private
+router.post('/api-keys', protect, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const result = await apiKeyService.createKey(req.user._id, { name, scopes, expiresAt });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.status(201).json({ ...result.apiKey, key: result.key });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/users/api-keys/:keyId
+// @access  Private
+router.delete('/api-keys/:keyId', protect, async (req, res) => {
+  try {
+    const result = await apiKeyService.revokeKey(req.user._id, req.params.keyId);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'API key revoked', apiKey: result.apiKey });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Regenerate the default API key (revokes the previous default key)
 // @route   POST /api/users/api-key
 // @access  Private
 router.post('/api-key', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const result = await apiKeyService.regenerateDefaultKey(req.user._id);
 
-    if (user) {
-      // Generate new API key
-      user.apiKey = uuidv4();
-      await user.save();
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
 
-      res.json({
-        apiKey: user.apiKey,
+    res.json({
+      apiKey: result.key,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    List the sign-in identities (Google, Apple, OIDC) linked to the logged in user
+// @route   GET /api/users/identities
+// @access  Private
+router.get('/identities', protect, async (req, res) => {
+  try {
+    const identities = await identityService.listIdentities(req.user._id);
+    res.json({ identities, hasPassword: Boolean(await User.exists({ _id: req.user._id, password: { $exists: true } })) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Link another sign-in identity with an ID token of the provider
+// @route   POST /api/users/identities
+// @access  Private
+router.post('/identities', protect, async (req, res) => {
+  try {
+    const { provider, idToken, nonce } = req.body;
+
+    if (!provider || typeof provider !== 'string') {
+      return res.status(400).json({ message: 'Please provide a provider' });
+    }
+
+    const verification = await oidcProviders.verifyIdToken(provider, idToken, { nonce });
+    if (!verification.success) {
+      return res.status(verification.statusCode || 500).json({
+        message: verification.message
+      });
+    }
+
+    const result = await identityService.linkIdentity(req.user._id, provider, verification.claims);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
       });
-    } else {
-      res.status(404);
-      throw new Error('User not found');
     }
+
+    res.status(result.created ? 201 : 200).json(result.identity);
   } catch (error) {
-    res.status(404).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @desc    Unlink a sign-in identity
+// @route   DELETE /api/users/identities/:identityId
+// @access  Private
+router.delete('/identities/:identityId', protect, async (req, res) => {
+  try {
+    const result = await identityService.unlinkIdentity(req.user._id, req.params.identityId);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    res.json({ message: 'Identity unlinked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
 });
 
@@ -179,17 +653,62 @@ router.put('/:id', protect, admin, async (req, res) => {
     const user = await User.findById(req.params.id);
     
     if (user) {
+      const { isActive } = req.body;
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return res.status(400).json({ message: 'isActive must be a boolean' });
+      }
+      if (isActive === false && user._id.toString() === req.user._id.toString()) {
+        return res.status(400).json({ message: 'Cannot deactivate your own account' });
+      }
+      const deactivating = isActive === false && user.isActive !== false;
+
+      // Credit values are checked before anything is saved, so a bad value leaves the user unchanged
+      const { apiCreditsTotal, apiCreditsUsed } = req.body;
+      const editingCredits = apiCreditsTotal !== undefined || apiCreditsUsed !== undefined;
+      const creditValues = {
+        total: apiCreditsTotal !== undefined ? Number(apiCreditsTotal) : undefined,
+        used: apiCreditsUsed !== undefined ? Number(apiCreditsUsed) : undefined
+      };
+      const invalidCredits = editingCredits ? creditService.validateCreditValues(creditValues) : null;
+      if (invalidCredits) {
+        return res.status(invalidCredits.statusCode).json({ message: invalidCredits.message });
+      }
+
       user.name = req.body.name || user.name;
       user.email = req.body.email || user.email;
       user.isAdmin = req.body.isAdmin !== undefined ? req.body.isAdmin : user.isAdmin;
+      user.isActive = isActive !== undefined ? isActive : user.isActive;
       
       const updatedUser = await user.save();
+
+      // Deactivation ends the user's sessions right away instead of when their tokens expire
+      if (deactivating) {
+        await sessionService.revokeAllSessions(updatedUser._id);
+      }
+
+      // Balance edits go through the credit service so they are recorded in the ledger
+      let credits = {
+        apiCreditsUsed: updatedUser.apiCreditsUsed,
+        apiCreditsTotal: updatedUser.apiCreditsTotal,
+      };
+      if (editingCredits) {
+        const result = await creditService.setCredits(updatedUser._id, creditValues, `Admin credit edit by ${req.user.name}`);
+
+        if (!result.success) {
+          return res.status(result.statusCode || 500).json({
+            message: result.message
+          });
+        }
+        credits = { apiCreditsUsed: result.usedCredits, apiCreditsTotal: result.totalCredits };
+      }
       
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         isAdmin: updatedUser.isAdmin,
+        isActive: updatedUser.isActive,
+        ...credits,
       });
     } else {
       res.status(404);
@@ -200,57 +719,79 @@ router.put('/:id', protect, admin, async (req, res) => {
   }
 });
 
-// @desc    Google OAuth login
-// @route   GET /api/users/auth/google
+// @desc    Google OAuth login. The client sends a PKCE challenge and its own state;
+//          the callback hands back a one-time code to exchange with POST /auth/google/exchange.
+// @route   GET /api/users/auth/google?code_challenge=&code_challenge_method=S256&state=
 // @access  Public
-router.get('/auth/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
+router.get('/auth/google', loginRateLimit, async (req, res, next) => {
+  try {
+    const result = await oauthLoginService.startLogin('google', {
+      codeChallenge: req.query.code_challenge,
+      codeChallengeMethod: req.query.code_challenge_method,
+      state: req.query.state
+    });
+    if (!result.success) {
+      logger.warn(`Google OAuth login not started: ${result.message}`, null, 'auth');
+      return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=invalid_request`);
+    }
 
-// @desc    Handle iOS Google Sign-In
-// @route   POST /api/users/auth/google/ios
-// @access  Public
-router.post('/auth/google/ios', async (req, res) => {
+    passport.authenticate('google', {
+      scope: ['profile', 'email'],
+      session: false,
+      state: result.providerState
+    })(req, res, next);
+  } catch (error) {
+    logger.error('Google OAuth login error', { error: error.message });
+    res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=auth_failed`);
+  }
+});
+
+// Sign in with a provider's ID token (mobile apps, or web clients using the provider's JS SDK).
+// New accounts get a default API key, returned only in this response.
+const signInWithIdToken = (getProvider) => async (req, res) => {
+  const provider = getProvider(req);
   try {
-    const { idToken } = req.body;
-    
-    if (!idToken) {
-      return res.status(400).json({ message: 'ID token is required' });
+    const { idToken, nonce, name } = req.body;
+
+    const verification = await oidcProviders.verifyIdToken(provider, idToken, { nonce });
+    if (!verification.success) {
+      return res.status(verification.statusCode || 500).json({
+        message: verification.message
+      });
     }
-    
-    // Verify the Google ID token
-    const payload = await verifyGoogleIdToken(idToken);
-    const googleId = payload.sub;
-    const email = payload.email;
-    const name = payload.name;
-    
-    logger.info(`iOS Google Sign-In: ${email} (${googleId})`);
-    
-    // Find or create user
-    let user = await User.findOne({ $or: [{ googleId }, { email }] });
-    
-    if (!user) {
-      // Create new user
-      const apiKey = uuidv4();
-      user = await User.create({
-        name,
-        email,
-        googleId,
-        apiKey,
-        apiCreditsUsed: 0,
-        apiCreditsTotal: 100,
+
+    // Apple shares the name with the app only, as { firstName, lastName } on the first sign-in
+    const clientName = name && typeof name === 'object'
+      ? [name.firstName, name.lastName].filter(Boolean).join(' ')
+      : (typeof name === 'string' ? name.trim() : undefined);
+
+    const result = await identityService.signIn(provider, verification.claims, { name: clientName || undefined });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
       });
-      logger.info(`Created new user via iOS Google Sign-In: ${email}`);
-    } else if (!user.googleId) {
-      // User exists but doesn't have Google ID - link accounts
-      user.googleId = googleId;
-      if (!user.apiKey) {
-        user.apiKey = uuidv4();
-      }
-      await user.save();
-      logger.info(`Linked existing account to Google: ${email}`);
+    }
+
+    const { user } = result;
+    logger.info(`${provider} sign-in: ${user.email}${result.created ? ' (new account)' : ''}`);
+
+    // The full default key can only be returned when it is created
+    let apiKey;
+    if (result.created) {
+      const keyResult = await apiKeyService.createKey(user._id, { name: DEFAULT_KEY_NAME });
+      apiKey = keyResult.success ? keyResult.key : undefined;
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorService.createChallenge(user));
     }
     
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session (access and refresh token)
+    const session = await sessionService.createSession(user, req);
     
     // Return user info and token
     res.json({
@@ -258,38 +799,85 @@ router.post('/auth/google/ios', async (req, res) => {
       name: user.name,
       email: user.email,
       isAdmin: user.isAdmin,
-      apiKey: user.apiKey,
+      apiKey,
       apiCreditsUsed: user.apiCreditsUsed,
       apiCreditsTotal: user.apiCreditsTotal,
-      token,
+      ...session,
     });
     
   } catch (error) {
-    logger.error(`iOS Google auth error: ${error.message}`);
-    res.status(401).json({ message: 'Invalid Google token' });
+    logger.error(`${provider} sign-in error: ${error.message}`);
+    res.status(500).json({ message: 'Server error signing in' });
   }
+};
+
+// @desc    List the sign-in providers configured on this server
+// @route   GET /api/users/auth/providers
+// @access  Public
+router.get('/auth/providers', (req, res) => {
+  res.json(oidcProviders.list());
 });
 
+// @desc    Handle iOS Google Sign-In
+// @route   POST /api/users/auth/google/ios
+// @access  Public
+router.post('/auth/google/ios', loginRateLimit, signInWithIdToken(() => 'google'));
+
+// @desc    Sign in with Apple
+// @route   POST /api/users/auth/apple
+// @access  Public
+router.post('/auth/apple', loginRateLimit, signInWithIdToken(() => 'apple'));
+
+// @desc    Sign in with a generic OpenID Connect provider from OIDC_PROVIDERS
+// @route   POST /api/users/auth/oidc/:provider
+// @access  Public
+router.post('/auth/oidc/:provider', loginRateLimit, signInWithIdToken(req => req.params.provider));
+
 // @desc    Google OAuth callback
 // @route   GET /api/users/auth/google/callback
 // @access  Public
 router.get(
   '/auth/google/callback',
-  passport.authenticate('google', { session: false }),
-  (req, res) => {
+  async (req, res, next) => {
+    // Only callbacks of logins started through GET /auth/google are accepted (login CSRF)
     try {
-      // Generate JWT token for the authenticated user
-      const token = generateToken(req.user._id);
+      if (!await oauthLoginService.isPending(req.query.state)) {
+        logger.warn('Google OAuth callback with an unknown or expired state', null, 'auth');
+        return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=invalid_state`);
+      }
+    } catch (error) {
+      logger.error('Google OAuth callback error', { error: error.message });
+      return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=auth_failed`);
+    }
+    next();
+  },
+  (req, res, next) => {
+    passport.authenticate('google', { session: false }, (error, user, info) => {
+      if (error || !user) {
+        logger.warn('Google OAuth sign-in failed', { error: error?.message, reason: info?.message }, 'auth');
+        const reason = info?.message?.startsWith('An account with this email') ? 'account_exists' : 'auth_failed';
+        return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=${reason}`);
+      }
+      req.user = user;
+      next();
+    })(req, res, next);
+  },
+  async (req, res) => {
+    try {
+      if (req.user.isActive === false) {
+        return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=account_deactivated`);
+      }
 
-      // Redirect to client with token and user data as query parameters
+      const result = await oauthLoginService.completeLogin(req.query.state, req.user);
+      if (!result.success) {
+        return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3001'}/login?error=invalid_state`);
+      }
+
+      // Only a one-time code goes in the URL; tokens are returned by POST /auth/google/exchange
       const redirectUrl = `${process.env.CLIENT_URL || 'http://localhost:3001'}/auth/google/callback`;
       const queryParams = new URLSearchParams({
-        token,
-        name: req.user.name,
-        email: req.user.email,
-        userId: req.user._id,
-        apiKey: req.user.apiKey,
-        isAdmin: req.user.isAdmin
+        code: result.code,
+        state: result.clientState
       }).toString();
 
       res.redirect(`${redirectUrl}?${queryParams}`);
@@ -300,6 +888,46 @@ router.get(
   }
 );
 
+// @desc    Exchange the one-time code of the Google OAuth callback for a session
+// @route   POST /api/users/auth/google/exchange
+// @access  Public
+router.post('/auth/google/exchange', loginRateLimit, async (req, res) => {
+  try {
+    const { code, codeVerifier, state } = req.body;
+
+    const result = await oauthLoginService.exchangeCode({ code, codeVerifier, state });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        message: result.message
+      });
+    }
+
+    const { user } = result;
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    // The client finishes the login with a code through POST /api/users/login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorService.createChallenge(user));
+    }
+
+    const session = await sessionService.createSession(user, req);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      emailVerified: user.emailVerified,
+      ...session,
+    });
+  } catch (error) {
+    logger.error('Google OAuth code exchange error', { error: error.message });
+    res.status(500).json({ message: 'Server error signing in' });
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Admin
@@ -315,6 +943,10 @@ router.delete('/:id', protect, admin, async (req, res) => {
       }
       
       await User.deleteOne({ _id: user._id });
+      await apiKeyService.deleteUserKeys(user._id);
+      await sessionService.deleteUserSessions(user._id);
+      await accountService.deleteUserTokens(user._id);
+      await identityService.deleteUserIdentities(user._id);
       res.json({ message: 'User removed' });
     } else {
       res.status(404);
@@ -330,15 +962,17 @@ router.delete('/:id', protect, admin, async (req, res) => {
 // @access  Admin
 router.post('/:id/reset-count', protect, admin, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select('name email');
     
     if (user) {
-      // Store the previous usage for the response
-      const previousUsed = user.apiCreditsUsed;
-      
-      // Reset the used credits to 0
-      user.apiCreditsUsed = 0;
-      await user.save();
+      // Reset through the credit service so the ledger records an adjustment
+      const result = await creditService.resetCredits(user._id, `Admin reset of used credits by ${req.user.name}`);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 500).json({
+          message: result.message
+        });
+      }
       
       res.json({
         message: 'API credits reset successfully',
@@ -346,10 +980,10 @@ router.post('/:id/reset-count', protect, admin, async (req, res) => {
           _id: user._id,
           name: user.name,
           email: user.email,
-          previousUsed,
+          previousUsed: result.previousUsed,
           currentUsed: 0,
-          apiCreditsTotal: user.apiCreditsTotal,
-          apiCreditsRemaining: user.apiCreditsTotal
+          apiCreditsTotal: result.totalCredits,
+          apiCreditsRemaining: result.remainingCredits
         }
       });
     } else {
@@ -369,6 +1003,10 @@ router.get('/:id/api-stats', protect, admin, async (req, res) => {
     const user = await User.findById(req.params.id);
     
     if (user) {
+      const apiKeys = await apiKeyService.listKeys(user._id);
+      const now = new Date();
+      const activeKeys = apiKeys.filter(key => !key.revokedAt && (!key.expiresAt || key.expiresAt > now));
+
       // In a real-world scenario, you might have more detailed stats
       // stored in a separate collection
       res.json({
@@ -376,8 +1014,9 @@ router.get('/:id/api-stats', protect, admin, async (req, res) => {
           _id: user._id,
           name: user.name,
           email: user.email,
-          apiKey: user.apiKey ? '********-****-****-****-************' : 'Not generated',
-          hasApiKey: !!user.apiKey
+          hasApiKey: activeKeys.length > 0,
+          activeApiKeys: activeKeys.length,
+          apiKeys
         },
         apiStats: {
           totalRequests: user.apiRequestCount,
@@ -0,0 +1,45 @@
+// scripts/checkRateLimitStore.js
+// Exercises the rate limit store configured with RATE_LIMIT_STORE (and REDIS_URL)
+// with a throwaway key: sliding-window hits, values with expiry and deletion.
+// Use it to check a Redis or Redis-compatible server before pointing the API at it.
+//
+// Usage: RATE_LIMIT_STORE=redis REDIS_URL=redis://localhost:6379 node scripts/checkRateLimitStore.js
+import crypto from 'crypto';
+import assert from 'assert';
+import dotenv from 'dotenv';
+import rateLimiter from '../services/rateLimit/index.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const check = async () => {
+  const store = rateLimiter.getStore();
+  const key = `store-check:${crypto.randomBytes(4).toString('hex')}`;
+
+  const hits = [];
+  for (let i = 0; i < 4; i += 1) {
+    hits.push(await store.hit(key, 1000, 3));
+  }
+  assert.deepStrictEqual(hits.map(hit => hit.allowed), [true, true, true, false], 'the 4th hit of 3/1s should be rejected');
+  assert.ok(hits[3].retryAfterMs > 0 && hits[3].retryAfterMs <= 1000, 'retryAfterMs should be within the window');
+
+  await sleep(1100);
+  assert.strictEqual((await store.hit(key, 1000, 3)).allowed, true, 'the window should slide');
+
+  await store.set(`${key}:value`, 42, 500);
+  assert.strictEqual(await store.get(`${key}:value`), '42');
+  await sleep(600);
+  assert.strictEqual(await store.get(`${key}:value`), null, 'values should expire');
+
+  await store.delete(key, `${key}:value`);
+  logger.success(`Rate limit store '${store.name}' works`);
+  await store.close();
+};
+
+check().catch(async (error) => {
+  logger.error('Rate limit store check failed', { error: error.message });
+  process.exitCode = 1;
+  await rateLimiter.getStore().close().catch(() => {});
+});
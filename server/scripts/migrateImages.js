@@ -0,0 +1,84 @@
+// scripts/migrateImages.js
+// Moves base64 images embedded in FoodAnalysis documents (`image.data`) into the
+// configured blob store (IMAGE_STORAGE_DRIVER) and removes them from the collection.
+//
+// Usage: node scripts/migrateImages.js [--dry-run]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import FoodAnalysis from '../models/foodAnalysisModel.js';
+import imageStorage from '../services/imageStorage/index.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const driver = imageStorage.getDriver();
+  logger.db(`Moving embedded images to '${driver.name}' storage${dryRun ? ' (dry run)' : ''}`);
+
+  // Raw collection: one document (and one image) in memory at a time
+  const cursor = FoodAnalysis.collection.find(
+    { 'image.data': { $exists: true, $ne: null } },
+    { projection: { user: 1, image: 1 } }
+  );
+  let moved = 0;
+  let failed = 0;
+  let bytes = 0;
+
+  for await (const doc of cursor) {
+    const buffer = Buffer.from(doc.image.data, 'base64');
+    const contentType = doc.image.contentType || 'application/octet-stream';
+    bytes += buffer.length;
+
+    if (dryRun) {
+      moved += 1;
+      continue;
+    }
+
+    let storedImage = null;
+    try {
+      storedImage = await imageStorage.saveImage(doc.user, buffer, contentType);
+
+      // Only unset the data if it has not been touched since we read it
+      const result = await FoodAnalysis.collection.updateOne(
+        { _id: doc._id, 'image.data': doc.image.data },
+        {
+          $set: {
+            'image.storageKey': storedImage.storageKey,
+            'image.contentType': storedImage.contentType,
+            'image.size': storedImage.size,
+          },
+          $unset: { 'image.data': '' },
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        await imageStorage.deleteImage(storedImage.storageKey);
+        logger.warn('Document changed during migration, skipped', { id: doc._id }, 'db');
+        continue;
+      }
+
+      moved += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error(`Failed to move image for food analysis ${doc._id}`, error, 'db');
+      if (storedImage) {
+        await imageStorage.deleteImage(storedImage.storageKey).catch(() => {});
+      }
+    }
+  }
+
+  logger.success('Image migration finished', { moved, failed, megabytes: Math.round(bytes / 1024 / 1024 * 10) / 10, dryRun });
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+migrate()
+  .catch((error) => {
+    logger.error('Image migration failed', error, 'db');
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
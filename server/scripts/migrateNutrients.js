@@ -0,0 +1,94 @@
+// scripts/migrateNutrients.js
+// Converts string nutrient fields ("95", "0g", "Approx. 100-150 kcal") on existing
+// FoodAnalysis documents to numeric { value, low, high, unit } objects.
+//
+// Usage: node scripts/migrateNutrients.js [--dry-run]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import FoodAnalysis from '../models/foodAnalysisModel.js';
+import logger from '../utils/logger.js';
+import { ITEM_NUTRIENT_UNITS, TOTAL_NUTRIENT_UNITS, parseNutrient } from '../utils/nutrients.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const needsConversion = (value) => value === undefined || value === null || typeof value !== 'object';
+
+/**
+ * Build the $set update for one raw document, or null if it is already migrated
+ * @param {Object} doc - Raw FoodAnalysis document from the collection
+ * @returns {Object|null}
+ */
+const buildUpdate = (doc) => {
+  const update = {};
+
+  Object.entries(TOTAL_NUTRIENT_UNITS).forEach(([field, unit]) => {
+    if (needsConversion(doc[field])) {
+      update[field] = parseNutrient(doc[field], unit);
+    }
+  });
+
+  if (Array.isArray(doc.foodItems)) {
+    let itemsChanged = false;
+    const foodItems = doc.foodItems.map(item => {
+      const converted = { ...item };
+      Object.entries(ITEM_NUTRIENT_UNITS).forEach(([field, unit]) => {
+        if (needsConversion(item[field])) {
+          converted[field] = parseNutrient(item[field], unit);
+          itemsChanged = true;
+        }
+      });
+      return converted;
+    });
+
+    if (itemsChanged) {
+      update.foodItems = foodItems;
+    }
+  }
+
+  return Object.keys(update).length > 0 ? update : null;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  logger.db(`Migrating FoodAnalysis nutrients to numbers${dryRun ? ' (dry run)' : ''}`);
+
+  // Use the raw collection so legacy string values are not cast by the new schema
+  const cursor = FoodAnalysis.collection.find({}, { projection: { image: 0 } });
+  let scanned = 0;
+  let converted = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await FoodAnalysis.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned += 1;
+    const update = buildUpdate(doc);
+
+    if (update) {
+      converted += 1;
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  logger.success(`Nutrient migration finished`, { scanned, converted, dryRun });
+};
+
+migrate()
+  .catch((error) => {
+    logger.error('Nutrient migration failed', error, 'db');
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
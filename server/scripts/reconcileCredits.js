@@ -0,0 +1,49 @@
+// scripts/reconcileCredits.js
+// Replays every user's credit ledger and reports users whose stored balance does not
+// match it. With --fix, each difference is recorded as a correcting adjustment.
+//
+// Usage: node scripts/reconcileCredits.js [--fix] [--user <userId>]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ledgerService from '../services/ledgerService.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const userIndex = process.argv.indexOf('--user');
+
+const reconcile = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await ledgerService.reconcile({
+    userId: userIndex === -1 ? undefined : process.argv[userIndex + 1],
+    fix: process.argv.includes('--fix'),
+  });
+
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  result.users.forEach((report) => {
+    logger.info(`User ${report.userId} (${report.email})`, {
+      storedBalance: report.storedBalance,
+      ledgerBalance: report.ledgerBalance,
+      difference: report.difference,
+      balanceAfterMismatches: report.balanceAfterMismatches,
+      fixed: report.fixed,
+      skipped: report.skipped,
+    }, 'credits');
+  });
+
+  logger.success('Ledger reconciliation finished', { checked: result.checked, mismatched: result.mismatched, fixed: result.fixed });
+  if (result.mismatched > result.fixed) {
+    process.exitCode = 1;
+  }
+};
+
+reconcile()
+  .catch((error) => {
+    logger.error('Ledger reconciliation failed', error, 'credits');
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
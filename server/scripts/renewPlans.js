@@ -0,0 +1,31 @@
+// scripts/renewPlans.js
+// Runs one plan renewal pass: every user whose billing period has ended gets the
+// monthly allowance of their plan. Use it from cron where the in-process scheduler
+// does not run (serverless deployments, PLAN_RENEWAL_INTERVAL_MS=0).
+//
+// Usage: node scripts/renewPlans.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import planService from '../services/planService.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const renew = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  await planService.ensureDefaultPlans();
+
+  const counts = await planService.renewDueUsers();
+
+  logger.success('Plan renewal finished', counts);
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+renew()
+  .catch((error) => {
+    logger.error('Plan renewal failed', error, 'credits');
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,64 @@
+// scripts/sendWebhookEvent.js
+// Signs a payment webhook fixture with STRIPE_WEBHOOK_SECRET and posts it to the
+// local server, to exercise checkout fulfillment, refunds and chargebacks without
+// a payment provider. Fixtures live in scripts/fixtures/payments/.
+//
+// Usage: node scripts/sendWebhookEvent.js <fixture.json> [--purchase <id>] [--session <id>]
+//          [--payment-intent <id>] [--amount <cents>] [--amount-refunded <cents>]
+//          [--event-id <id>] [--url <webhook url>] [--print]
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import logger from '../utils/logger.js';
+import { signPayload } from '../utils/webhookSignature.js';
+
+dotenv.config();
+
+const getOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const send = async () => {
+  const fixturePath = process.argv[2];
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!fixturePath || !secret) {
+    throw new Error('Usage: node scripts/sendWebhookEvent.js <fixture.json> [options] (STRIPE_WEBHOOK_SECRET must be set)');
+  }
+
+  const values = {
+    eventId: getOption('event-id', `evt_local_${crypto.randomUUID()}`),
+    purchaseId: getOption('purchase', ''),
+    sessionId: getOption('session', ''),
+    paymentIntent: getOption('payment-intent', 'pi_local_fixture'),
+    amount: getOption('amount', '499'),
+    amountRefunded: getOption('amount-refunded', getOption('amount', '499')),
+  };
+
+  const payload = fs.readFileSync(fixturePath, 'utf8').replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+  JSON.parse(payload); // Fail early on a broken fixture
+
+  const signature = signPayload(payload, secret);
+
+  if (process.argv.includes('--print')) {
+    console.log(`Stripe-Signature: ${signature}\n\n${payload}`);
+    return;
+  }
+
+  const url = getOption('url', `http://localhost:${process.env.PORT || 8080}/api/payments/webhook`);
+  const response = await axios.post(url, payload, {
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    validateStatus: () => true,
+  });
+
+  logger.info(`Webhook ${values.eventId} -> ${response.status}`, response.data, 'credits');
+  if (response.status >= 400) {
+    process.exitCode = 1;
+  }
+};
+
+send().catch((error) => {
+  logger.error('Sending webhook fixture failed', error, 'credits');
+  process.exitCode = 1;
+});
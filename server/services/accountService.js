@@ -0,0 +1,291 @@
+// services/accountService.js
+import crypto from 'crypto';
+import AccountToken from '../models/accountTokenModel.js';
+import User from '../models/userModel.js';
+import mailService from './mailService.js';
+import logger from '../utils/logger.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+
+// A new verification or reset email is sent at most this often per account
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const getTokenTtlMs = (type) => (type === 'password-reset'
+  ? (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000
+  : (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000);
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3001';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Replace the user's unused tokens of a type with a new one
+ * @returns {Promise<String>} The token to put in the email link
+ */
+const createToken = async (user, type) => {
+  await AccountToken.deleteMany({ user: user._id, type, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + getTokenTtlMs(type)),
+  });
+  return token;
+};
+
+// Unused, unexpired token of a type, or null
+const findValidToken = (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  return AccountToken.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Mark a token used; null if another request redeemed it first
+const claimToken = (record) => AccountToken.findOneAndUpdate(
+  { _id: record._id, usedAt: { $exists: false } },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+const sentRecently = (user, type) => AccountToken.exists({
+  user: user._id,
+  type,
+  createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) },
+});
+
+/**
+ * Service for the email/password account lifecycle: email verification,
+ * password reset and password change
+ */
+export const accountService = {
+  /**
+   * Whether REQUIRE_EMAIL_VERIFICATION=true: password logins and API keys then need a verified email address
+   * @returns {Boolean}
+   */
+  isVerificationRequired() {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+  },
+
+  /**
+   * Email a verification link to the user
+   * @param {Object} user - User
+   * @returns {Promise<Object>} { success, emailSent } or { success: false, message, statusCode }
+   */
+  async sendVerificationEmail(user) {
+    if (user.emailVerified) {
+      return { success: false, message: 'Email address is already verified', statusCode: 400 };
+    }
+    if (await sentRecently(user, 'email-verification')) {
+      return { success: false, message: 'A verification email was sent recently. Please wait a minute before requesting another one.', statusCode: 429 };
+    }
+
+    const token = await createToken(user, 'email-verification');
+    const hours = Math.round(getTokenTtlMs('email-verification') / (60 * 60 * 1000));
+    const result = await mailService.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name || ''},`.trim(),
+        '',
+        'Please confirm your email address by opening this link:',
+        `${getClientUrl()}/verify-email?token=${token}`,
+        '',
+        `The link expires in ${hours} hours.`,
+      ].join('\n'),
+    });
+
+    return { success: true, emailSent: result.success };
+  },
+
+  /**
+   * Redeem an email verification token
+   * @param {String} token - Token from the link
+   * @returns {Promise<Object>} { success, user } or { success: false, message, statusCode }
+   */
+  async verifyEmail(token) {
+    const invalid = { success: false, message: 'Invalid or expired verification link', statusCode: 400 };
+
+    const record = await findValidToken(token, 'email-verification');
+    if (!record || !(await claimToken(record))) {
+      return invalid;
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || user.email !== record.email) {
+      return invalid;
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    logger.auth(`Email verified for user ${user._id}`);
+    return { success: true, user };
+  },
+
+  /**
+   * Email a password reset link. Succeeds whether or not the address has an
+   * account, so the endpoint does not reveal which emails are registered.
+   * @param {String} email - Account email
+   * @returns {Promise<Object>} { success }
+   */
+  async requestPasswordReset(email) {
+    if (!email || typeof email !== 'string') {
+      return { success: false, message: 'Please provide an email address', statusCode: 400 };
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || user.isActive === false || await sentRecently(user, 'password-reset')) {
+      return { success: true };
+    }
+
+    const token = await createToken(user, 'password-reset');
+    const minutes = Math.round(getTokenTtlMs('password-reset') / (60 * 1000));
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name || ''},`.trim(),
+        '',
+        'Someone asked to reset the password of your account. To choose a new password, open this link:',
+        `${getClientUrl()}/reset-password?token=${token}`,
+        '',
+        `The link expires in ${minutes} minutes and can be used once. If you did not ask for this, you can ignore this email.`,
+      ].join('\n'),
+    });
+
+    logger.auth(`Password reset requested for user ${user._id}`);
+    return { success: true };
+  },
+
+  /**
+   * Set a new password with a reset token. Every existing session of the user ends.
+   * @param {String} token - Token from the link
+   * @param {String} password - New password
+   * @returns {Promise<Object>} { success, user } or { success: false, message, statusCode }
+   */
+  async resetPassword(token, password) {
+    const invalid = { success: false, message: 'Invalid or expired reset link', statusCode: 400 };
+
+    const record = await findValidToken(token, 'password-reset');
+    if (!record) {
+      return invalid;
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || user.isActive === false) {
+      return invalid;
+    }
+
+    // Checked before the token is used, so a weak password does not burn the link
+    const weakness = validatePassword(password, user);
+    if (weakness) {
+      return { success: false, message: weakness, statusCode: 400 };
+    }
+
+    if (!(await claimToken(record))) {
+      return invalid;
+    }
+
+    user.password = password;
+    // The reset link proved the user can read mail sent to this address
+    if (user.email === record.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await AccountToken.deleteMany({ user: user._id, type: 'password-reset', usedAt: { $exists: false } });
+    await this.sendPasswordChangedEmail(user);
+
+    logger.auth(`Password reset for user ${user._id}`);
+    return { success: true, user };
+  },
+
+  /**
+   * Change the password of a logged-in user. Every existing session of the user ends.
+   * @param {String} userId - User ID
+   * @param {String} currentPassword - Current password
+   * @param {String} newPassword - New password
+   * @returns {Promise<Object>} { success, user } or { success: false, message, statusCode }
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    if (!user.password) {
+      return { success: false, message: 'Your account has no password yet. Use forgot password to set one.', statusCode: 400 };
+    }
+    if (!currentPassword || !(await user.matchPassword(currentPassword))) {
+      return { success: false, message: 'Current password is incorrect', statusCode: 401 };
+    }
+
+    const weakness = validatePassword(newPassword, user);
+    if (weakness) {
+      return { success: false, message: weakness, statusCode: 400 };
+    }
+    if (await user.matchPassword(newPassword)) {
+      return { success: false, message: 'New password must be different from the current one', statusCode: 400 };
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await this.sendPasswordChangedEmail(user);
+
+    logger.auth(`Password changed for user ${user._id}`);
+    return { success: true, user };
+  },
+
+  /**
+   * Tell the user their password changed, in case it was not them
+   * @param {Object} user - User
+   * @returns {Promise<void>}
+   */
+  async sendPasswordChangedEmail(user) {
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: [
+        `Hi ${user.name || ''},`.trim(),
+        '',
+        'The password of your account was just changed and all devices were logged out.',
+        'If this was not you, reset your password right away and contact support.',
+      ].join('\n'),
+    });
+  },
+
+  /**
+   * Delete all email tokens of a user (account removal)
+   * @param {String} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserTokens(userId) {
+    await AccountToken.deleteMany({ user: userId });
+  },
+
+  /**
+   * Mark accounts created before email verification existed as verified, so that
+   * REQUIRE_EMAIL_VERIFICATION does not lock them out. Accounts created since then
+   * always have the field stored.
+   * @returns {Promise<Number>} Number of migrated accounts
+   */
+  async migrateLegacyAccounts() {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    return result.modifiedCount;
+  }
+};
+
+export default accountService;
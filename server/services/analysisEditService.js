@@ -0,0 +1,355 @@
+// services/analysisEditService.js
+import mongoose from 'mongoose';
+import FoodAnalysis from '../models/foodAnalysisModel.js';
+import FoodAnalysisRevision from '../models/foodAnalysisRevisionModel.js';
+import logger from '../utils/logger.js';
+import { ITEM_NUTRIENT_UNITS, TOTAL_NUTRIENT_UNITS, parseNutrient } from '../utils/nutrients.js';
+
+// Descriptive analysis fields a user may overwrite directly
+const EDITABLE_FIELDS = ['mealType', 'description', 'portionRecommendation'];
+
+// Meal total field -> item nutrient field it sums
+const TOTAL_TO_ITEM_FIELD = {
+  totalCalories: 'calories',
+  totalProteinGrams: 'proteinGrams',
+  totalCarbsGrams: 'carbsGrams',
+  totalFatGrams: 'fatGrams',
+  totalFiberGrams: 'fiberGrams',
+  totalSugarGrams: 'sugarGrams',
+  totalSodiumMg: 'sodiumMg',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+const scaleNutrient = (nutrient, factor) => {
+  const scaled = { value: round(nutrient.value * factor), unit: nutrient.unit };
+  if (nutrient.low !== undefined && nutrient.low !== null) scaled.low = round(nutrient.low * factor);
+  if (nutrient.high !== undefined && nutrient.high !== null) scaled.high = round(nutrient.high * factor);
+  return scaled;
+};
+
+const plainItem = (item) => JSON.parse(JSON.stringify(item));
+
+/**
+ * Service for manual corrections of food analyses with an auditable revision history
+ */
+export const analysisEditService = {
+  /**
+   * Build an item from client input, parsing nutrients into { value, low, high, unit }
+   * @param {Object} input - Client item (nutrients as numbers, strings or nutrient objects)
+   * @param {Object} [base] - Existing item the input is applied on top of
+   * @returns {Object} { success, item } or { success: false, message, statusCode }
+   */
+  buildItem(input, base = null) {
+    if (!input || typeof input !== 'object') {
+      return invalid('Each food item must be an object');
+    }
+
+    const item = base ? plainItem(base) : { servings: 1, healthScore: 5, dietaryCategory: [], potentialAllergens: [] };
+
+    if (input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) {
+        return invalid('Food item name must be a non-empty string');
+      }
+      item.name = input.name.trim();
+    }
+    if (!item.name) {
+      return invalid('New food items need a name');
+    }
+
+    const hasNutrientInput = Object.keys(ITEM_NUTRIENT_UNITS).some(field => input[field] !== undefined);
+
+    if (input.servings !== undefined) {
+      const servings = Number(input.servings);
+      if (isNaN(servings) || servings < 0) {
+        return invalid('servings must be a non-negative number');
+      }
+
+      // Rescale the existing nutrients unless the client sends its own values
+      if (base && !hasNutrientInput) {
+        const currentServings = base.servings === undefined ? 1 : base.servings;
+        if (currentServings === 0) {
+          return invalid(`Cannot rescale '${item.name}' from 0 servings; provide nutrient values instead`);
+        }
+        const factor = servings / currentServings;
+        Object.keys(ITEM_NUTRIENT_UNITS).forEach(field => {
+          item[field] = scaleNutrient(parseNutrient(item[field], ITEM_NUTRIENT_UNITS[field]), factor);
+        });
+      }
+      item.servings = servings;
+    }
+
+    Object.entries(ITEM_NUTRIENT_UNITS).forEach(([field, unit]) => {
+      if (input[field] !== undefined) {
+        item[field] = parseNutrient(input[field], unit);
+      } else if (!base) {
+        item[field] = { value: 0, unit };
+      }
+    });
+
+    if (input.healthScore !== undefined) {
+      const healthScore = Number(input.healthScore);
+      if (isNaN(healthScore) || healthScore < 1 || healthScore > 10) {
+        return invalid('healthScore must be a number from 1 to 10');
+      }
+      item.healthScore = healthScore;
+    }
+
+    ['dietaryCategory', 'potentialAllergens'].forEach(field => {
+      if (input[field] !== undefined) {
+        item[field] = Array.isArray(input[field]) ? input[field].map(String) : [];
+      }
+    });
+
+    return { success: true, item };
+  },
+
+  /**
+   * Apply an edit request to an analysis without touching the database
+   * @param {Object} analysis - Current analysis as a plain object
+   * @param {Object} edits - { foodItems: { update, add, remove }, mealType, description, portionRecommendation }
+   * @returns {Object} { success, foodItems, fields, changes } or { success: false, message, statusCode }
+   */
+  applyEdits(analysis, edits = {}) {
+    const changes = [];
+    let foodItems = (analysis.foodItems || []).map(plainItem);
+    const itemEdits = edits.foodItems || {};
+
+    if (typeof itemEdits !== 'object' || Array.isArray(itemEdits)) {
+      return invalid('foodItems must be an object with update, add and/or remove lists');
+    }
+    if (['update', 'add', 'remove'].some(list => itemEdits[list] !== undefined && !Array.isArray(itemEdits[list]))) {
+      return invalid('foodItems.update, foodItems.add and foodItems.remove must be arrays');
+    }
+
+    const findIndex = (id) => foodItems.findIndex(item => String(item._id) === String(id));
+
+    for (const id of itemEdits.remove || []) {
+      const index = findIndex(id);
+      if (index === -1) {
+        return invalid(`Food item '${id}' not found in this analysis`);
+      }
+      changes.push({ op: 'remove', itemId: String(id), item: foodItems[index] });
+      foodItems.splice(index, 1);
+    }
+
+    for (const update of itemEdits.update || []) {
+      const index = update && update._id ? findIndex(update._id) : -1;
+      if (index === -1) {
+        return invalid(`Food item '${update && update._id}' not found in this analysis`);
+      }
+
+      const before = foodItems[index];
+      const result = this.buildItem(update, before);
+      if (!result.success) return result;
+
+      const after = result.item;
+      if (after.name !== before.name) {
+        changes.push({ op: 'rename', itemId: String(before._id), from: before.name, to: after.name });
+      }
+      if ((after.servings ?? 1) !== (before.servings ?? 1)) {
+        changes.push({ op: 'portion', itemId: String(before._id), from: before.servings ?? 1, to: after.servings });
+      }
+      const changedFields = Object.keys(after).filter(field =>
+        !['_id', 'name', 'servings'].includes(field) && JSON.stringify(after[field]) !== JSON.stringify(before[field]));
+      if (changedFields.length > 0) {
+        changes.push({
+          op: 'update',
+          itemId: String(before._id),
+          from: Object.fromEntries(changedFields.map(field => [field, before[field]])),
+          to: Object.fromEntries(changedFields.map(field => [field, after[field]])),
+        });
+      }
+
+      foodItems[index] = after;
+    }
+
+    for (const input of itemEdits.add || []) {
+      const result = this.buildItem(input);
+      if (!result.success) return result;
+
+      const item = { _id: new mongoose.Types.ObjectId(), ...result.item };
+      changes.push({ op: 'add', itemId: String(item._id), item: plainItem(item) });
+      foodItems.push(item);
+    }
+
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (edits[field] === undefined || edits[field] === analysis[field]) continue;
+      if (typeof edits[field] !== 'string') {
+        return invalid(`${field} must be a string`);
+      }
+      fields[field] = edits[field];
+      changes.push({ op: 'field', field, from: analysis[field], to: edits[field] });
+    }
+
+    return { success: true, foodItems, fields, changes };
+  },
+
+  /**
+   * Recompute meal totals from food items. Ranges are summed when any item has one.
+   * @param {Array<Object>} foodItems - Items with parsed nutrients
+   * @returns {Object} { totalCalories, totalProteinGrams, ... }
+   */
+  recomputeTotals(foodItems) {
+    const totals = {};
+
+    Object.entries(TOTAL_TO_ITEM_FIELD).forEach(([totalField, itemField]) => {
+      const unit = TOTAL_NUTRIENT_UNITS[totalField];
+      const nutrients = foodItems.map(item => parseNutrient(item[itemField], unit));
+      const total = { value: round(nutrients.reduce((sum, nutrient) => sum + nutrient.value, 0)), unit };
+
+      if (nutrients.some(nutrient => nutrient.low !== undefined || nutrient.high !== undefined)) {
+        total.low = round(nutrients.reduce((sum, nutrient) => sum + (nutrient.low ?? nutrient.value), 0));
+        total.high = round(nutrients.reduce((sum, nutrient) => sum + (nutrient.high ?? nutrient.value), 0));
+      }
+
+      totals[totalField] = total;
+    });
+
+    return totals;
+  },
+
+  /**
+   * Capture the editable state of an analysis for the revision history
+   * @param {Object} analysis - Analysis as a plain object
+   * @returns {Object}
+   */
+  snapshot(analysis) {
+    const snapshot = {
+      foodItems: (analysis.foodItems || []).map(plainItem),
+      overallHealthScore: analysis.overallHealthScore,
+    };
+    Object.keys(TOTAL_NUTRIENT_UNITS).forEach(field => {
+      snapshot[field] = analysis[field];
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      snapshot[field] = analysis[field];
+    });
+    return JSON.parse(JSON.stringify(snapshot));
+  },
+
+  /**
+   * Apply a manual correction, recompute totals and record the revision
+   * @param {String} analysisId - FoodAnalysis ID
+   * @param {Object} user - Authenticated user (owner of the analysis)
+   * @param {Object} edits - Request body
+   * @returns {Promise<Object>} { success, analysis, revision } or { success: false, message, statusCode }
+   */
+  async updateAnalysis(analysisId, user, edits) {
+    try {
+      const analysis = await FoodAnalysis.findOne({ _id: analysisId, user: user._id });
+
+      if (!analysis) {
+        return { success: false, message: 'Food analysis not found', statusCode: 404 };
+      }
+
+      const currentRevision = analysis.revision || 0;
+      if (edits.expectedRevision !== undefined && Number(edits.expectedRevision) !== currentRevision) {
+        return {
+          success: false,
+          message: `Analysis was modified (current revision ${currentRevision}). Reload and try again.`,
+          statusCode: 409
+        };
+      }
+
+      const current = analysis.toObject();
+      const result = this.applyEdits(current, edits);
+      if (!result.success) {
+        return result;
+      }
+      if (result.changes.length === 0) {
+        return invalid('No changes to apply');
+      }
+
+      // Preserve the untouched AI output before the first correction
+      if (currentRevision === 0) {
+        await FoodAnalysisRevision.updateOne(
+          { analysis: analysis._id, revision: 0 },
+          {
+            $setOnInsert: {
+              user: analysis.user,
+              source: 'ai',
+              snapshot: this.snapshot(current),
+            }
+          },
+          { upsert: true }
+        );
+      }
+
+      const totals = this.recomputeTotals(result.foodItems);
+
+      // Conditional on the revision we read, so concurrent edits cannot overwrite each other.
+      // Analyses saved before revisions existed have no field in the database (null matches it).
+      const revisionFilter = currentRevision === 0 ? { $in: [0, null] } : currentRevision;
+      const updated = await FoodAnalysis.findOneAndUpdate(
+        { _id: analysis._id, user: user._id, revision: revisionFilter },
+        {
+          $set: { foodItems: result.foodItems, ...totals, ...result.fields, editedAt: new Date() },
+          $inc: { revision: 1 },
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!updated) {
+        return {
+          success: false,
+          message: 'Analysis was modified by another request. Reload and try again.',
+          statusCode: 409
+        };
+      }
+
+      await FoodAnalysisRevision.create({
+        analysis: updated._id,
+        user: updated.user,
+        revision: updated.revision,
+        source: 'user',
+        editedBy: user._id,
+        note: typeof edits.note === 'string' ? edits.note : undefined,
+        changes: result.changes,
+        snapshot: this.snapshot(updated.toObject()),
+      });
+
+      logger.db(`Food analysis ${updated._id} corrected to revision ${updated.revision}`, { userId: user._id, changes: result.changes.length });
+
+      return { success: true, analysis: updated, revision: updated.revision };
+    } catch (error) {
+      if (error.name === 'CastError' || error.name === 'ValidationError') {
+        return invalid(error.message);
+      }
+      logger.error('Error updating food analysis', { analysisId, userId: user._id, error }, 'db');
+      return { success: false, message: 'Failed to update food analysis', statusCode: 500 };
+    }
+  },
+
+  /**
+   * Revision history of an analysis, oldest first
+   * @param {String} analysisId - FoodAnalysis ID
+   * @param {String} userId - Owner of the analysis
+   * @returns {Promise<Object>} { success, revisions } or { success: false, message, statusCode }
+   */
+  async getRevisions(analysisId, userId) {
+    try {
+      const exists = await FoodAnalysis.exists({ _id: analysisId, user: userId });
+      if (!exists) {
+        return { success: false, message: 'Food analysis not found', statusCode: 404 };
+      }
+
+      const revisions = await FoodAnalysisRevision.find({ analysis: analysisId })
+        .sort({ revision: 1 })
+        .select('-__v');
+
+      return { success: true, revisions };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return invalid(`The provided ID '${analysisId}' is not a valid MongoDB ObjectId`);
+      }
+      logger.error('Error fetching food analysis revisions', { analysisId, userId, error }, 'db');
+      return { success: false, message: 'Failed to fetch food analysis revisions', statusCode: 500 };
+    }
+  }
+};
+
+export default analysisEditService;
@@ -0,0 +1,252 @@
+// services/apiKeyService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_SCOPES, API_KEY_LEGACY_SCOPE } from '../models/apiKeyModel.js';
+import User from '../models/userModel.js';
+import logger from '../utils/logger.js';
+
+// Name of the key created at sign-up and replaced by POST /api/users/api-key
+export const DEFAULT_KEY_NAME = 'Default';
+
+// lastUsedAt/lastUsedIp are written at most this often per key (unless the IP changes)
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const getMaxKeysPerUser = () => parseInt(process.env.MAX_API_KEYS_PER_USER, 10) || 10;
+
+// Migrated legacy keys expire this long after their migration
+const getLegacyKeyTtlMs = () => (parseInt(process.env.LEGACY_API_KEY_TTL_DAYS, 10) || 180) * 24 * 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Fields returned to clients; never the hash
+const toPublicKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt || null,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  lastUsedIp: apiKey.lastUsedIp || null,
+  revokedAt: apiKey.revokedAt || null,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * Service for users' named, scoped API keys
+ */
+export const apiKeyService = {
+  toPublicKey,
+
+  /**
+   * Create a key. The returned `key` is the only time the full key is available.
+   * @param {String} userId - Owner
+   * @param {Object} options
+   * @param {String} options.name - Label, e.g. the integration using it
+   * @param {Array<String>} [options.scopes] - Subset of API_KEY_SCOPES (default: all)
+   * @param {Date|String} [options.expiresAt] - Expiry (default: never)
+   * @returns {Promise<Object>} { success, key, apiKey } or { success: false, message, statusCode }
+   */
+  async createKey(userId, { name, scopes, expiresAt } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return { success: false, message: 'Please provide a name for the key', statusCode: 400 };
+    }
+
+    if (scopes !== undefined) {
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { success: false, message: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`, statusCode: 400 };
+      }
+      const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        return { success: false, message: `Unknown scopes: ${unknown.join(', ')}. Use ${API_KEY_SCOPES.join(', ')}`, statusCode: 400 };
+      }
+    }
+
+    let expiry;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return { success: false, message: 'expiresAt must be a date in the future', statusCode: 400 };
+      }
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: userId,
+      revokedAt: { $exists: false },
+      $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeKeys >= getMaxKeysPerUser()) {
+      return { success: false, message: `You can have at most ${getMaxKeysPerUser()} active API keys. Revoke one first.`, statusCode: 400 };
+    }
+
+    const prefix = `cal_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name: name.trim(),
+      prefix,
+      keyHash: hashKey(key),
+      scopes: scopes ? [...new Set(scopes)] : undefined,
+      expiresAt: expiry,
+    });
+
+    logger.auth(`API key ${prefix} created for user ${userId}`, { name: apiKey.name, scopes: apiKey.scopes });
+    return { success: true, key, apiKey: toPublicKey(apiKey) };
+  },
+
+  /**
+   * Keys of a user, newest first (revoked and expired keys included)
+   * @param {String} userId - Owner
+   * @returns {Promise<Array<Object>>}
+   */
+  async listKeys(userId) {
+    const keys = await ApiKey.find({ user: userId }).sort({ createdAt: -1 });
+    return keys.map(toPublicKey);
+  },
+
+  /**
+   * Revoke one of a user's keys. Requests with it are rejected from then on.
+   * @param {String} userId - Owner
+   * @param {String} keyId - ApiKey ID
+   * @returns {Promise<Object>} { success, apiKey } or { success: false, message, statusCode }
+   */
+  async revokeKey(userId, keyId) {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      return { success: false, message: `The provided ID '${keyId}' is not a valid MongoDB ObjectId`, statusCode: 400 };
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) {
+      const exists = await ApiKey.exists({ _id: keyId, user: userId });
+      return exists
+        ? { success: false, message: 'API key already revoked', statusCode: 409 }
+        : { success: false, message: 'API key not found', statusCode: 404 };
+    }
+
+    logger.auth(`API key ${apiKey.prefix} revoked for user ${userId}`);
+    return { success: true, apiKey: toPublicKey(apiKey) };
+  },
+
+  /**
+   * Replace the user's default key (legacy POST /api/users/api-key). The new key has
+   * the normal scopes, also when it replaces a migrated legacy key.
+   * @param {String} userId - Owner
+   * @returns {Promise<Object>} Result of createKey()
+   */
+  async regenerateDefaultKey(userId) {
+    await ApiKey.updateMany(
+      { user: userId, name: DEFAULT_KEY_NAME, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    return this.createKey(userId, { name: DEFAULT_KEY_NAME });
+  },
+
+  /**
+   * Resolve the key sent in `x-api-key`
+   * @param {String} rawKey - Key from the request
+   * @param {String} [ip] - Client IP, recorded as last used
+   * @returns {Promise<Object>} { success, apiKey, user } or { success: false, message, statusCode }
+   */
+  async authenticate(rawKey, ip) {
+    const key = String(rawKey || '').trim();
+    if (!key) {
+      return { success: false, message: 'Invalid API key', statusCode: 401 };
+    }
+
+    let apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+    if (!apiKey) {
+      apiKey = await this.migrateLegacyKey(key);
+    }
+    if (!apiKey) {
+      return { success: false, message: 'Invalid API key', statusCode: 401 };
+    }
+
+    if (apiKey.revokedAt) {
+      return { success: false, message: 'API key has been revoked', statusCode: 401 };
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return { success: false, message: 'API key has expired', statusCode: 401 };
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user) {
+      return { success: false, message: 'Invalid API key', statusCode: 401 };
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS || apiKey.lastUsedIp !== ip) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } }).catch((error) => {
+        logger.error('Error recording API key usage', { keyId: apiKey._id, error }, 'db');
+      });
+    }
+
+    return { success: true, apiKey, user };
+  },
+
+  /**
+   * Move a plaintext key from User.apiKey (before named keys existed) to a hashed ApiKey with every
+   * scope plus the legacy one, so existing integrations keep their access until the key expires
+   * (LEGACY_API_KEY_TTL_DAYS after the migration)
+   * @param {String} key - Plaintext legacy key
+   * @returns {Promise<Object|null>} The new ApiKey, or null if no user has this key
+   */
+  async migrateLegacyKey(key) {
+    const user = await User.findOne({ apiKey: key }).select('_id apiKey');
+    if (!user) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { keyHash: hashKey(key) },
+      { $setOnInsert: {
+        user: user._id,
+        name: DEFAULT_KEY_NAME,
+        prefix: key.slice(0, 8),
+        scopes: [...API_KEY_SCOPES, API_KEY_LEGACY_SCOPE],
+        expiresAt: new Date(Date.now() + getLegacyKeyTtlMs()),
+      } },
+      { upsert: true, new: true }
+    );
+    await User.updateOne({ _id: user._id, apiKey: key }, { $unset: { apiKey: 1 } });
+
+    logger.auth(`Migrated legacy API key of user ${user._id}`);
+    return apiKey;
+  },
+
+  /**
+   * Migrate every legacy plaintext key. Run at startup; requests with a key not migrated yet
+   * are migrated on the fly by authenticate().
+   * @returns {Promise<Number>} Number of migrated keys
+   */
+  async migrateLegacyKeys() {
+    // The old unique index on User.apiKey was not sparse, so users without a key would collide
+    const indexes = await User.collection.indexes().catch(() => []);
+    const legacyIndex = indexes.find(index => index.name === 'apiKey_1');
+    if (legacyIndex && !legacyIndex.sparse) {
+      await User.collection.dropIndex('apiKey_1');
+      await User.createIndexes();
+    }
+
+    let migrated = 0;
+    const cursor = User.find({ apiKey: { $exists: true, $ne: null } }).select('apiKey').lean().cursor();
+    for await (const user of cursor) {
+      if (await this.migrateLegacyKey(user.apiKey)) migrated += 1;
+    }
+    return migrated;
+  },
+
+  /**
+   * Delete all keys of a user (account removal)
+   * @param {String} userId - Owner
+   * @returns {Promise<void>}
+   */
+  async deleteUserKeys(userId) {
+    await ApiKey.deleteMany({ user: userId });
+  }
+};
+
+export default apiKeyService;
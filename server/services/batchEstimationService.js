@@ -0,0 +1,387 @@
+// services/batchEstimationService.js
+import crypto from 'crypto';
+import os from 'os';
+import EstimationJob from '../models/estimationJobModel.js';
+import creditService from './creditService.js';
+import estimationService from './estimationService.js';
+import imageProcessingService from './imageProcessingService.js';
+import logger from '../utils/logger.js';
+
+export const BATCH_ENDPOINT_PATH = '/api/estimate-calories/batch';
+
+// In-process queue. Uploaded bytes only live here, so jobs do not survive a restart
+// (see recoverInterruptedJobs) and batches need a long-running server process.
+const pendingTasks = [];
+let activeTasks = 0;
+// Bytes of uploads held by queued and running tasks
+let queuedBytes = 0;
+
+// Identifies this process as the owner of the jobs it queued
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+// Jobs of this process -> number of their tasks not finished yet
+const ownedJobs = new Map();
+let leaseTimer = null;
+let recoveryTimer = null;
+let recoveryRunning = false;
+
+const getConcurrency = () => parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+// Most upload bytes kept in memory by the queue, across all jobs
+const getMaxQueuedBytes = () => (parseInt(process.env.BATCH_QUEUE_MAX_MB, 10) || 200) * 1024 * 1024;
+// A job whose owner stopped renewing its lease this long ago is considered interrupted
+const getLeaseMs = () => (parseInt(process.env.BATCH_LEASE_SECONDS, 10) || 120) * 1000;
+
+// Items not finished yet
+const UNFINISHED_ITEM_STATUSES = ['queued', 'processing'];
+
+/**
+ * Service for batch estimation jobs processed in the background with bounded concurrency
+ */
+export const batchEstimationService = {
+  /**
+   * Create a job for a set of uploaded images and queue its items.
+   * Credits for every image are charged up front; failed items are refunded.
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user
+   * @param {Array<Object>} options.files - Multer files ({ buffer, mimetype, originalname })
+   * @param {Object} options.provider - Provider from services/providers
+   * @param {String} [options.model] - Model name override
+   * @returns {Promise<Object>} { success, job, remainingCredits, totalCredits } or { success: false, message, statusCode }
+   */
+  async createJob({ user, files, provider, model }) {
+    const uploadBytes = files.reduce((sum, file) => sum + file.buffer.length, 0);
+    if (queuedBytes + uploadBytes > getMaxQueuedBytes()) {
+      logger.warn('Batch queue is full', { userId: user._id, queuedBytes, uploadBytes }, 'food');
+      return {
+        success: false,
+        message: 'Too many images are waiting to be processed. Please try again later.',
+        statusCode: 503
+      };
+    }
+
+    const creditResult = await creditService.consumeCredits(user, BATCH_ENDPOINT_PATH, files.length, { provider: provider.name, model });
+    if (!creditResult.success) {
+      return creditResult;
+    }
+    const creditsReserved = creditResult.reservation.amount;
+    const creditsPerItem = creditResult.reservation.unitCost;
+
+    let job;
+    try {
+      job = await EstimationJob.create({
+        user: user._id,
+        provider: provider.name,
+        model,
+        totalItems: files.length,
+        creditsReserved,
+        creditsPerItem,
+        creditTransaction: creditResult.reservation.transactionId,
+        items: files.map((file, index) => ({ index, filename: file.originalname })),
+        owner: INSTANCE_ID,
+        leaseExpiresAt: new Date(Date.now() + getLeaseMs()),
+      });
+    } catch (error) {
+      logger.error('Error creating estimation job', { userId: user._id, error }, 'db');
+      await creditService.refundCredits(user._id, creditsReserved, 'Refund for batch job that could not be created', BATCH_ENDPOINT_PATH, creditResult.reservation.transactionId);
+      return {
+        success: false,
+        message: 'Failed to create batch job',
+        statusCode: 500
+      };
+    }
+
+    files.forEach((file, index) => {
+      pendingTasks.push({
+        jobId: job._id,
+        userId: user._id,
+        creditTransaction: job.creditTransaction,
+        creditsPerItem,
+        index,
+        buffer: file.buffer,
+        mimeType: file.mimetype,
+        provider,
+        model,
+      });
+    });
+    queuedBytes += uploadBytes;
+    this.holdLease(job._id, files.length);
+
+    logger.info(`Batch job ${job._id} queued with ${files.length} images`, { userId: user._id, queueLength: pendingTasks.length }, 'food');
+    this.drain();
+
+    return { success: true, job, remainingCredits: creditResult.remainingCredits, totalCredits: creditResult.totalCredits };
+  },
+
+  /**
+   * Start queued tasks until the concurrency limit is reached
+   */
+  drain() {
+    while (activeTasks < getConcurrency() && pendingTasks.length > 0) {
+      const task = pendingTasks.shift();
+      activeTasks += 1;
+
+      this.processItem(task)
+        .catch((error) => {
+          logger.error(`Unexpected error in batch job ${task.jobId}`, { index: task.index, error }, 'food');
+          return this.failItem(task, 'Unexpected error while processing the image').catch((failError) => {
+            logger.error(`Could not fail item ${task.index} of batch job ${task.jobId}`, { error: failError }, 'food');
+          });
+        })
+        .finally(() => {
+          activeTasks -= 1;
+          queuedBytes -= task.buffer.length;
+          this.releaseLease(task.jobId);
+          this.drain();
+        });
+    }
+  },
+
+  /**
+   * Keep renewing the lease of a job while this process has tasks of it
+   * @param {String} jobId - EstimationJob ID
+   * @param {Number} taskCount - Tasks queued for the job
+   */
+  holdLease(jobId, taskCount) {
+    const key = jobId.toString();
+    ownedJobs.set(key, (ownedJobs.get(key) || 0) + taskCount);
+
+    if (!leaseTimer) {
+      leaseTimer = setInterval(() => {
+        EstimationJob.updateMany(
+          { _id: { $in: [...ownedJobs.keys()] }, owner: INSTANCE_ID },
+          { $set: { leaseExpiresAt: new Date(Date.now() + getLeaseMs()) } }
+        ).catch((error) => {
+          logger.error('Failed to renew batch job leases', { error }, 'food');
+        });
+      }, getLeaseMs() / 3);
+      leaseTimer.unref();
+    }
+  },
+
+  /**
+   * Count a finished task; the lease stops being renewed after the last one
+   * @param {String} jobId - EstimationJob ID
+   */
+  releaseLease(jobId) {
+    const key = jobId.toString();
+    const remaining = (ownedJobs.get(key) || 1) - 1;
+    if (remaining > 0) {
+      ownedJobs.set(key, remaining);
+      return;
+    }
+
+    ownedJobs.delete(key);
+    if (ownedJobs.size === 0 && leaseTimer) {
+      clearInterval(leaseTimer);
+      leaseTimer = null;
+    }
+  },
+
+  /**
+   * Estimate a single image of a job and record the outcome
+   * @param {Object} task - Queued task
+   * @returns {Promise<void>}
+   */
+  async processItem(task) {
+    const { jobId, index } = task;
+
+    // Skipped if the item was recovered as interrupted meanwhile
+    const started = await EstimationJob.updateOne(
+      { _id: jobId, items: { $elemMatch: { index, status: 'queued' } } },
+      { $set: { status: 'processing', 'items.$.status': 'processing', 'items.$.startedAt': new Date() } }
+    );
+    if (started.modifiedCount === 0) {
+      logger.warn(`Item ${index} of batch job ${jobId} is no longer queued, skipping it`, null, 'food');
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.estimate(task);
+    } catch (error) {
+      logger.error(`Error estimating item ${index} of batch job ${jobId}`, { error }, 'food');
+      result = { success: false, message: 'Unexpected error while processing the image' };
+    }
+
+    if (result.success) {
+      await this.finishItem(jobId, index, { status: 'succeeded', analysis: result.analysisId });
+      return;
+    }
+
+    await this.failItem(task, result.message);
+  },
+
+  /**
+   * Mark an unfinished item failed and refund its credits
+   * @param {Object} task - { jobId, userId, index, creditTransaction, creditsPerItem }
+   * @param {String} message - Error shown for the item
+   * @param {String} [reason] - Word used in the refund description
+   * @returns {Promise<void>}
+   */
+  async failItem({ jobId, userId, index, creditTransaction, creditsPerItem }, message, reason = 'failed') {
+    const job = await this.finishItem(jobId, index, { status: 'failed', error: message });
+
+    // Already finished elsewhere, or an exempt plan that paid nothing
+    if (!job || !(creditsPerItem > 0)) {
+      return;
+    }
+
+    const refund = await creditService.refundCredits(userId, creditsPerItem, `Refund for ${reason} image ${index + 1} of batch job ${jobId}`, BATCH_ENDPOINT_PATH, creditTransaction);
+    if (refund.success) {
+      await EstimationJob.updateOne({ _id: jobId }, { $inc: { creditsRefunded: creditsPerItem } });
+    }
+  },
+
+  /**
+   * Run the single-image estimation pipeline for a task
+   * @param {Object} task - Queued task
+   * @returns {Promise<Object>} { success, analysisId } or { success: false, message }
+   */
+  async estimate({ userId, buffer, mimeType, provider, model }) {
+    const processed = await imageProcessingService.processUpload(buffer, mimeType);
+    if (!processed.success) {
+      return processed;
+    }
+
+    const result = await estimationService.analyze({
+      provider,
+      model,
+      prompt: estimationService.buildPrompt(),
+      images: [processed.image],
+      userId,
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const saveResult = await estimationService.saveAnalysis({ userId, analysis: result.analysis, images: [processed] });
+    if (!saveResult.success) {
+      return saveResult;
+    }
+
+    return { success: true, analysisId: saveResult.record._id };
+  },
+
+  /**
+   * Record the outcome of an unfinished item and complete the job once every item is done
+   * @param {String} jobId - EstimationJob ID
+   * @param {Number} index - Item index
+   * @param {Object} outcome - { status, analysis?, error? }
+   * @returns {Promise<Object|null>} Updated job, or null if the item was already finished
+   */
+  async finishItem(jobId, index, outcome) {
+    const itemUpdate = { 'items.$.status': outcome.status, 'items.$.finishedAt': new Date() };
+    if (outcome.analysis) itemUpdate['items.$.analysis'] = outcome.analysis;
+    if (outcome.error) itemUpdate['items.$.error'] = outcome.error;
+
+    const job = await EstimationJob.findOneAndUpdate(
+      { _id: jobId, items: { $elemMatch: { index, status: { $in: UNFINISHED_ITEM_STATUSES } } } },
+      {
+        $set: itemUpdate,
+        $inc: { [outcome.status === 'succeeded' ? 'succeededItems' : 'failedItems']: 1 },
+      },
+      { new: true }
+    );
+    if (!job) {
+      return null;
+    }
+
+    if (job.succeededItems + job.failedItems >= job.totalItems) {
+      const status = job.succeededItems === 0 ? 'failed' : 'completed';
+      await EstimationJob.updateOne({ _id: jobId }, { $set: { status, finishedAt: new Date() } });
+      logger.info(`Batch job ${jobId} ${status}`, { succeeded: job.succeededItems, failed: job.failedItems }, 'food');
+    }
+    return job;
+  },
+
+  /**
+   * Get a job of a user, with the analyses of succeeded items populated
+   * @param {String} jobId - EstimationJob ID
+   * @param {String} userId - Owner of the job
+   * @returns {Promise<Object>} { success, job } or { success: false, message, statusCode }
+   */
+  async getJob(jobId, userId) {
+    try {
+      const job = await EstimationJob.findOne({ _id: jobId, user: userId })
+        .select('-__v')
+        .populate({ path: 'items.analysis', select: '-__v' });
+
+      if (!job) {
+        return { success: false, message: 'Job not found', statusCode: 404 };
+      }
+
+      return { success: true, job };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return { success: false, message: `The provided ID '${jobId}' is not a valid MongoDB ObjectId`, statusCode: 400 };
+      }
+      logger.error('Error fetching estimation job', { jobId, userId, error }, 'db');
+      return { success: false, message: 'Failed to fetch job', statusCode: 500 };
+    }
+  },
+
+  /**
+   * Fail and refund the items of jobs whose owner stopped renewing their lease
+   * (the process crashed or was restarted, taking the queued uploads with it).
+   * Jobs other processes are still working on are left alone.
+   * @returns {Promise<Number>} Number of interrupted jobs
+   */
+  async recoverInterruptedJobs() {
+    const expiredBefore = new Date(Date.now() - getLeaseMs());
+    const jobs = await EstimationJob.find({
+      status: { $in: ['queued', 'processing'] },
+      owner: { $ne: INSTANCE_ID },
+      $or: [
+        { leaseExpiresAt: { $lt: new Date() } },
+        // Jobs created before leases existed: no progress for a lease period
+        { leaseExpiresAt: { $exists: false }, updatedAt: { $lt: expiredBefore } },
+      ],
+    });
+
+    for (const job of jobs) {
+      const unfinished = job.items.filter(item => UNFINISHED_ITEM_STATUSES.includes(item.status));
+      for (const item of unfinished) {
+        await this.failItem({
+          jobId: job._id,
+          userId: job.user,
+          index: item.index,
+          creditTransaction: job.creditTransaction,
+          // Jobs created before pricing rules were charged 1 credit per image
+          creditsPerItem: job.creditsPerItem ?? 1,
+        }, 'Interrupted by a server restart', 'interrupted');
+      }
+    }
+
+    if (jobs.length > 0) {
+      logger.warn(`Recovered ${jobs.length} interrupted batch jobs`, null, 'food');
+    }
+    return jobs.length;
+  },
+
+  /**
+   * Recover interrupted jobs now and then once per lease period, so jobs of a
+   * process that died are refunded even when no other process restarts
+   */
+  startRecoveryScheduler() {
+    if (recoveryTimer) {
+      return;
+    }
+
+    const run = async () => {
+      if (recoveryRunning) return;
+      recoveryRunning = true;
+      try {
+        await this.recoverInterruptedJobs();
+      } catch (error) {
+        logger.error('Failed to recover interrupted batch jobs', { error }, 'food');
+      } finally {
+        recoveryRunning = false;
+      }
+    };
+
+    recoveryTimer = setInterval(run, getLeaseMs());
+    recoveryTimer.unref();
+    run();
+  }
+};
+
+export default batchEstimationService;
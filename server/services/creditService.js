@@ -1,29 +1,77 @@
 // services/creditService.js
 import User from '../models/userModel.js';
 import CreditTransaction from '../models/creditTransactionModel.js';
+import Plan from '../models/planModel.js';
+import pricingService from './pricingService.js';
+import notificationService from './notificationService.js';
+
+// Low-balance alerts run in the background and never fail the credit operation itself
+const checkBalanceAlerts = (user, remaining, total) => {
+  notificationService.checkBalance(user, remaining, total).catch((error) => {
+    console.error('Error checking low-balance alerts:', error);
+  });
+};
 
 /**
  * Service for handling API credit operations
  */
 export const creditService = {
   /**
-   * Consume credits for an API request
+   * Consume credits for an API request right away (reserve and commit in one step)
    * @param {Object} user - User document
    * @param {String} endpointPath - API endpoint path
+   * @param {Number} [units] - Billable units in the request (e.g. uploaded images); the endpoint cost is charged per unit
+   * @param {Object} [options] - Provider and model of the request, see reserveCredits()
    * @returns {Promise<Object>} Result of the operation
    */
-  async consumeCredits(user, endpointPath) {
-    // Default credit cost is 1, but you can vary it based on endpoint
-    const creditCost = this.getEndpointCreditCost(endpointPath);
-    
+  async consumeCredits(user, endpointPath, units = 1, options = {}) {
+    const result = await this.reserveCredits(user, endpointPath, units, options);
+    if (!result.success) {
+      return result;
+    }
+
+    await this.commitCredits(result.reservation);
+    return result;
+  },
+
+  /**
+   * Atomically take credits for a request that may still fail.
+   * The credits are deducted immediately, so concurrent requests cannot overspend;
+   * call commitCredits() when the request succeeds or releaseCredits() when it fails.
+   * @param {Object} user - User document
+   * @param {String} endpointPath - API endpoint path
+   * @param {Number} [units] - Billable units in the request; the endpoint cost is charged per unit
+   * @param {Object} [options]
+   * @param {String} [options.provider] - Vision provider name (for model multipliers)
+   * @param {String} [options.model] - Model name (for model multipliers)
+   * @returns {Promise<Object>} { success, reservation, remainingCredits, creditsUsed, totalCredits } or { success: false, message, statusCode }
+   */
+  async reserveCredits(user, endpointPath, units = 1, { provider, model } = {}) {
     try {
-      // Find user with fresh data
-      const freshUser = await User.findById(user._id);
-      
-      // Check if user has enough credits
-      const remainingCredits = freshUser.apiCreditsTotal - freshUser.apiCreditsUsed;
+      // Priced by the endpoint's pricing rule (plan discounts, exemptions, model multipliers)
+      const { cost: creditCost, unitCost, pricing } = await pricingService.price(user, endpointPath, { units, provider, model });
+
+      // Only matches when the balance covers the cost, so check and deduction are one operation
+      const updatedUser = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          $expr: { $gte: [{ $subtract: ['$apiCreditsTotal', '$apiCreditsUsed'] }, creditCost] }
+        },
+        { $inc: { apiCreditsUsed: creditCost } },
+        { new: true }
+      );
       
-      if (remainingCredits < creditCost) {
+      if (!updatedUser) {
+        const freshUser = await User.findById(user._id).select('apiCreditsTotal apiCreditsUsed');
+        if (!freshUser) {
+          return {
+            success: false,
+            message: 'User not found',
+            statusCode: 404
+          };
+        }
+
+        const remainingCredits = freshUser.apiCreditsTotal - freshUser.apiCreditsUsed;
         return {
           success: false,
           message: `Insufficient API credits. You need ${creditCost} credits but have only ${remainingCredits} remaining.`,
@@ -31,24 +79,38 @@ export const creditService = {
         };
       }
       
-      // Update user's credit usage
-      freshUser.apiCreditsUsed += creditCost;
-      await freshUser.save();
-      
-      // Record the transaction
-      await CreditTransaction.create({
-        user: freshUser._id,
-        amount: -creditCost,
-        type: 'consume',
-        description: `API request to ${endpointPath}`,
-        endpointPath,
-        balanceAfter: freshUser.apiCreditsTotal - freshUser.apiCreditsUsed
-      });
+      // Record the transaction; without a ledger row the charge is undone, so the ledger always accounts for it
+      let transaction;
+      try {
+        transaction = await CreditTransaction.create({
+          user: updatedUser._id,
+          amount: -creditCost,
+          type: 'consume',
+          status: 'reserved',
+          description: units > 1 ? `API request to ${endpointPath} (${units} units)` : `API request to ${endpointPath}`,
+          endpointPath,
+          pricing,
+          balanceAfter: updatedUser.apiCreditsTotal - updatedUser.apiCreditsUsed
+        });
+      } catch (ledgerError) {
+        await User.updateOne({ _id: updatedUser._id }, { $inc: { apiCreditsUsed: -creditCost } });
+        throw ledgerError;
+      }
+
+      checkBalanceAlerts(updatedUser, updatedUser.apiCreditsTotal - updatedUser.apiCreditsUsed, updatedUser.apiCreditsTotal);
       
       return {
         success: true,
-        remainingCredits: freshUser.apiCreditsTotal - freshUser.apiCreditsUsed,
-        creditsUsed: freshUser.apiCreditsUsed
+        reservation: {
+          transactionId: transaction._id,
+          userId: updatedUser._id,
+          amount: creditCost,
+          unitCost,
+          endpointPath
+        },
+        remainingCredits: updatedUser.apiCreditsTotal - updatedUser.apiCreditsUsed,
+        creditsUsed: updatedUser.apiCreditsUsed,
+        totalCredits: updatedUser.apiCreditsTotal
       };
     } catch (error) {
       console.error('Error consuming credits:', error);
@@ -59,15 +121,173 @@ export const creditService = {
       };
     }
   },
+
+  /**
+   * Keep reserved credits: the request they paid for succeeded
+   * @param {Object} reservation - Reservation returned by reserveCredits()
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async commitCredits(reservation) {
+    try {
+      const result = await CreditTransaction.updateOne(
+        { _id: reservation.transactionId, status: 'reserved' },
+        { $set: { status: 'committed' } }
+      );
+
+      return { success: result.modifiedCount === 1 };
+    } catch (error) {
+      console.error('Error committing credits:', error);
+      return {
+        success: false,
+        message: 'Error committing API credits',
+        statusCode: 500
+      };
+    }
+  },
+
+  /**
+   * Give reserved credits back: the request they paid for failed.
+   * Safe to call more than once; only the first call refunds.
+   * @param {Object} reservation - Reservation returned by reserveCredits()
+   * @param {String} [reason] - Why the request failed
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async releaseCredits(reservation, reason = 'Request failed') {
+    try {
+      // Claim the reservation first so it cannot be released twice
+      const transaction = await CreditTransaction.findOneAndUpdate(
+        { _id: reservation.transactionId, status: 'reserved' },
+        { $set: { status: 'released' } },
+        { new: true }
+      );
+
+      if (!transaction) {
+        return {
+          success: false,
+          message: 'Reservation already settled',
+          statusCode: 409
+        };
+      }
+
+      const refund = await this.refundCredits(
+        transaction.user,
+        -transaction.amount,
+        `Refund for ${transaction.endpointPath}: ${reason}`,
+        transaction.endpointPath,
+        transaction._id
+      );
+
+      // Keep the reservation open when nothing was given back, so it is released again later
+      if (!refund.success) {
+        await CreditTransaction.updateOne({ _id: transaction._id, status: 'released' }, { $set: { status: 'reserved' } });
+      }
+
+      return refund;
+    } catch (error) {
+      console.error('Error releasing credits:', error);
+      return {
+        success: false,
+        message: 'Error releasing API credits',
+        statusCode: 500
+      };
+    }
+  },
+
+  /**
+   * Release reservations left open by a previous server process (e.g. a crash during the provider call)
+   * @param {Number} [maxAgeMs] - Only reservations older than this are released
+   * @returns {Promise<Number>} Number of released reservations
+   */
+  async releaseStaleReservations(maxAgeMs = 15 * 60 * 1000) {
+    const stale = await CreditTransaction.find({
+      status: 'reserved',
+      createdAt: { $lt: new Date(Date.now() - maxAgeMs) }
+    });
+
+    let released = 0;
+    for (const transaction of stale) {
+      const result = await this.releaseCredits({ transactionId: transaction._id }, 'request did not complete');
+      if (result.success) released += 1;
+    }
+
+    return released;
+  },
   
+  /**
+   * Give back credits that were consumed for work that did not complete
+   * @param {String} userId - User ID
+   * @param {Number} amount - Credits to give back
+   * @param {String} description - Reason for the refund
+   * @param {String} [endpointPath] - API endpoint the credits were consumed for
+   * @param {String} [relatedTransaction] - ID of the 'consume' transaction being refunded
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async refundCredits(userId, amount, description, endpointPath, relatedTransaction) {
+    try {
+      // Give back used credits; when a renewal or reset already lowered apiCreditsUsed below
+      // the amount, the rest is added to the total, so the balance always grows by `amount`
+      const user = await User.findOneAndUpdate(
+        { _id: userId },
+        [{
+          $set: {
+            apiCreditsUsed: { $max: [0, { $subtract: ['$apiCreditsUsed', amount] }] },
+            apiCreditsTotal: { $add: ['$apiCreditsTotal', { $max: [0, { $subtract: [amount, '$apiCreditsUsed'] }] }] },
+          }
+        }],
+        { new: true }
+      );
+
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found',
+          statusCode: 404
+        };
+      }
+
+      try {
+        await CreditTransaction.create({
+          user: user._id,
+          amount,
+          type: 'refund',
+          description,
+          endpointPath,
+          relatedTransaction,
+          balanceAfter: user.apiCreditsTotal - user.apiCreditsUsed
+        });
+      } catch (ledgerError) {
+        // Undo the refund so the balance matches the ledger
+        await User.updateOne({ _id: user._id }, { $inc: { apiCreditsUsed: amount } });
+        throw ledgerError;
+      }
+
+      checkBalanceAlerts(user, user.apiCreditsTotal - user.apiCreditsUsed, user.apiCreditsTotal);
+
+      return {
+        success: true,
+        remainingCredits: user.apiCreditsTotal - user.apiCreditsUsed,
+        totalCredits: user.apiCreditsTotal
+      };
+    } catch (error) {
+      console.error('Error refunding credits:', error);
+      return {
+        success: false,
+        message: 'Error refunding API credits',
+        statusCode: 500
+      };
+    }
+  },
+
   /**
    * Add credits to a user's account
    * @param {String} userId - User ID
    * @param {Number} amount - Amount of credits to add
    * @param {String} description - Description of the refill
+   * @param {Object} [options]
+   * @param {Boolean} [options.purchased] - Paid credits: not limited by the plan cap and never expire at renewal
    * @returns {Promise<Object>} Result of the operation
    */
-  async addCredits(userId, amount, description = 'Credit refill') {
+  async addCredits(userId, amount, description = 'Credit refill', { purchased = false } = {}) {
     try {
       const user = await User.findById(userId);
       
@@ -79,36 +299,53 @@ export const creditService = {
         };
       }
       
-      // Check if adding these credits would exceed the maximum limit
-      // You can set a maximum limit to prevent abuse
-      const MAX_CREDITS = 1000;
-      const newTotal = user.apiCreditsTotal + amount;
-      
-      if (newTotal > MAX_CREDITS) {
+      // Plan credits may not take the balance above the cap of the user's plan
+      const plan = await Plan.findByKey(user.plan || 'free');
+      const creditCap = plan ? plan.creditCap : 1000;
+
+      // Add credits to user's total; the cap is part of the filter, so check and refill are one operation
+      const filter = { _id: user._id };
+      if (!purchased) {
+        filter.$expr = {
+          $lte: [{ $add: [{ $subtract: ['$apiCreditsTotal', '$apiCreditsUsed'] }, amount] }, creditCap]
+        };
+      }
+      const increment = { apiCreditsTotal: amount };
+      if (purchased) increment.apiCreditsPurchased = amount;
+      const updatedUser = await User.findOneAndUpdate(filter, { $inc: increment }, { new: true });
+
+      if (!updatedUser) {
         return {
           success: false,
-          message: `Cannot exceed maximum credit limit of ${MAX_CREDITS}`,
+          message: `Cannot exceed maximum credit limit of ${creditCap} for the ${plan ? plan.name : 'current'} plan`,
           statusCode: 400
         };
       }
       
-      // Add credits to user's total
-      user.apiCreditsTotal += amount;
-      await user.save();
-      
-      // Record the transaction
-      await CreditTransaction.create({
-        user: user._id,
-        amount: amount,
-        type: 'refill',
-        description,
-        balanceAfter: user.apiCreditsTotal - user.apiCreditsUsed
-      });
+      // Record the transaction; without a ledger row the refill is undone, so the ledger always accounts for it
+      let transaction;
+      try {
+        transaction = await CreditTransaction.create({
+          user: updatedUser._id,
+          amount: amount,
+          type: 'refill',
+          description,
+          balanceAfter: updatedUser.apiCreditsTotal - updatedUser.apiCreditsUsed
+        });
+      } catch (ledgerError) {
+        const undo = { apiCreditsTotal: -amount };
+        if (purchased) undo.apiCreditsPurchased = -amount;
+        await User.updateOne({ _id: updatedUser._id }, { $inc: undo });
+        throw ledgerError;
+      }
+
+      checkBalanceAlerts(updatedUser, updatedUser.apiCreditsTotal - updatedUser.apiCreditsUsed, updatedUser.apiCreditsTotal);
       
       return {
         success: true,
-        totalCredits: user.apiCreditsTotal,
-        remainingCredits: user.apiCreditsTotal - user.apiCreditsUsed
+        transaction,
+        totalCredits: updatedUser.apiCreditsTotal,
+        remainingCredits: updatedUser.apiCreditsTotal - updatedUser.apiCreditsUsed
       };
     } catch (error) {
       console.error('Error adding credits:', error);
@@ -120,14 +357,172 @@ export const creditService = {
     }
   },
   
+  /**
+   * Take back purchased credits after a payment was refunded or charged back.
+   * The balance may go negative if the credits were already spent.
+   * @param {String} userId - User ID
+   * @param {Number} amount - Credits to take back
+   * @param {String} description - Reason for the reversal
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async reverseCredits(userId, amount, description) {
+    try {
+      // One update, so purchased credits never drop below 0 when reversals overlap;
+      // the previous values are returned to work out what was taken and to undo it
+      const user = await User.findOneAndUpdate(
+        { _id: userId },
+        [{
+          $set: {
+            apiCreditsTotal: { $subtract: ['$apiCreditsTotal', amount] },
+            apiCreditsPurchased: { $max: [0, { $subtract: [{ $ifNull: ['$apiCreditsPurchased', 0] }, amount] }] },
+          }
+        }],
+        { new: false }
+      );
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found',
+          statusCode: 404
+        };
+      }
+
+      const purchasedBefore = Math.max(0, user.apiCreditsPurchased || 0);
+      const purchasedTaken = purchasedBefore - Math.max(0, purchasedBefore - amount);
+      const totalCredits = user.apiCreditsTotal - amount;
+      const remainingCredits = totalCredits - user.apiCreditsUsed;
+
+      try {
+        await CreditTransaction.create({
+          user: user._id,
+          amount: -amount,
+          type: 'adjustment',
+          description,
+          balanceAfter: remainingCredits
+        });
+      } catch (ledgerError) {
+        // Undo the reversal so the balance matches the ledger
+        await User.updateOne({ _id: user._id }, { $inc: { apiCreditsTotal: amount, apiCreditsPurchased: purchasedTaken } });
+        throw ledgerError;
+      }
+
+      checkBalanceAlerts(user, remainingCredits, totalCredits);
+
+      return {
+        success: true,
+        remainingCredits
+      };
+    } catch (error) {
+      console.error('Error reversing credits:', error);
+      return {
+        success: false,
+        message: 'Error reversing API credits',
+        statusCode: 500
+      };
+    }
+  },
+
+  /**
+   * Start a new billing period: expire unused plan credits beyond the plan's rollover limit
+   * and grant the monthly allowance (up to the plan's cap), written as `adjustment` and `refill` transactions.
+   * Purchased credits never expire; the plan allowance is assumed to be spent before them.
+   * The update only applies if the user's balance and period are unchanged since `user` was read.
+   * @param {Object} user - User as read by the caller (apiCreditsUsed, apiCreditsTotal, currentPeriodEnd)
+   * @param {Object} plan - Plan to renew on
+   * @param {Object} options
+   * @param {Date} options.nextPeriodEnd - End of the new period
+   * @param {Date} [options.billingCycleAnchor] - New anchor (plan changes restart the cycle)
+   * @param {Boolean} [options.expireUnused] - Apply the rollover limit (false keeps the whole balance, e.g. on upgrades)
+   * @param {String} [options.description] - Description of the refill transaction
+   * @returns {Promise<Object>} { success, granted, expired, remainingCredits } or { success: false, message, statusCode }
+   */
+  async renewAllowance(user, plan, { nextPeriodEnd, billingCycleAnchor, expireUnused = true, description } = {}) {
+    try {
+      // A negative balance (credits reversed after they were spent) is carried over as debt
+      const remaining = user.apiCreditsTotal - user.apiCreditsUsed;
+      const purchased = Math.max(0, Math.min(remaining, user.apiCreditsPurchased || 0));
+      const planCredits = remaining - purchased;
+      const carried = expireUnused ? Math.min(planCredits, plan.rolloverLimit) + purchased : remaining;
+      const expired = remaining - carried;
+      const granted = Math.max(0, Math.min(plan.monthlyAllowance, plan.creditCap - carried));
+      const newBalance = carried + granted;
+
+      const update = {
+        plan: plan.key,
+        apiCreditsUsed: 0,
+        apiCreditsTotal: newBalance,
+        apiCreditsPurchased: purchased,
+        currentPeriodEnd: nextPeriodEnd,
+      };
+      if (billingCycleAnchor) update.billingCycleAnchor = billingCycleAnchor;
+
+      const updatedUser = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          apiCreditsUsed: user.apiCreditsUsed,
+          apiCreditsTotal: user.apiCreditsTotal,
+          currentPeriodEnd: user.currentPeriodEnd ?? null, // null also matches users created before plans existed
+        },
+        { $set: update },
+        { new: true }
+      );
+
+      if (!updatedUser) {
+        return {
+          success: false,
+          message: 'User balance changed during renewal',
+          statusCode: 409
+        };
+      }
+
+      if (expired > 0) {
+        await CreditTransaction.create({
+          user: updatedUser._id,
+          amount: -expired,
+          type: 'adjustment',
+          description: `Unused credits expired at renewal (${plan.name} rollover limit ${plan.rolloverLimit})`,
+          balanceAfter: carried
+        });
+      }
+
+      if (granted > 0) {
+        await CreditTransaction.create({
+          user: updatedUser._id,
+          amount: granted,
+          type: 'refill',
+          description: description || `${plan.name} plan monthly allowance`,
+          balanceAfter: newBalance
+        });
+      }
+
+      checkBalanceAlerts(updatedUser, newBalance, newBalance);
+
+      return {
+        success: true,
+        granted,
+        expired,
+        remainingCredits: newBalance
+      };
+    } catch (error) {
+      console.error('Error renewing credits:', error);
+      return {
+        success: false,
+        message: 'Error renewing API credits',
+        statusCode: 500
+      };
+    }
+  },
+  
   /**
    * Reset a user's used credits (for admin use)
    * @param {String} userId - User ID
+   * @param {String} [description] - Description of the adjustment
    * @returns {Promise<Object>} Result of the operation
    */
-  async resetCredits(userId) {
+  async resetCredits(userId, description = 'Admin reset of used credits') {
     try {
-      const user = await User.findById(userId);
+      // Returns the document as it was before the reset, so concurrent requests are accounted for
+      const user = await User.findByIdAndUpdate(userId, { $set: { apiCreditsUsed: 0 } });
       
       if (!user) {
         return {
@@ -137,26 +532,24 @@ export const creditService = {
         };
       }
       
-      // Store previous value for the response
       const previousUsed = user.apiCreditsUsed;
       
-      // Reset used credits
-      user.apiCreditsUsed = 0;
-      await user.save();
-      
       // Record the transaction
       await CreditTransaction.create({
         user: user._id,
         amount: previousUsed, // Adding back the previously used credits
         type: 'adjustment',
-        description: 'Admin reset of used credits',
+        description,
         balanceAfter: user.apiCreditsTotal
       });
+
+      checkBalanceAlerts(user, user.apiCreditsTotal, user.apiCreditsTotal);
       
       return {
         success: true,
         previousUsed,
         currentUsed: 0,
+        totalCredits: user.apiCreditsTotal,
         remainingCredits: user.apiCreditsTotal
       };
     } catch (error) {
@@ -168,6 +561,147 @@ export const creditService = {
       };
     }
   },
+
+  /**
+   * Check the values of an admin credit edit without applying them
+   * @param {Object} values
+   * @param {Number} [values.total] - New apiCreditsTotal
+   * @param {Number} [values.used] - New apiCreditsUsed
+   * @returns {Object|null} { success: false, message, statusCode }, or null if the values are valid
+   */
+  validateCreditValues({ total, used } = {}) {
+    const update = {};
+    if (total !== undefined) update.apiCreditsTotal = total;
+    if (used !== undefined) update.apiCreditsUsed = used;
+
+    const invalid = Object.entries(update).find(([, value]) => !Number.isInteger(value) || value < 0);
+    if (invalid) {
+      return {
+        success: false,
+        message: `${invalid[0]} must be a non-negative integer`,
+        statusCode: 400
+      };
+    }
+
+    if (Object.keys(update).length === 0) {
+      return {
+        success: false,
+        message: 'Provide apiCreditsTotal and/or apiCreditsUsed',
+        statusCode: 400
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Set a user's total and/or used credits directly (admin edits).
+   * The change in balance is recorded as an `adjustment` transaction.
+   * @param {String} userId - User ID
+   * @param {Object} values
+   * @param {Number} [values.total] - New apiCreditsTotal
+   * @param {Number} [values.used] - New apiCreditsUsed
+   * @param {String} [description] - Description of the adjustment
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async setCredits(userId, { total, used } = {}, description = 'Admin edit of credit balance') {
+    const invalid = this.validateCreditValues({ total, used });
+    if (invalid) {
+      return invalid;
+    }
+
+    const update = {};
+    if (total !== undefined) update.apiCreditsTotal = total;
+    if (used !== undefined) update.apiCreditsUsed = used;
+
+    try {
+      // Returns the document as it was before the update
+      const user = await User.findByIdAndUpdate(userId, { $set: update });
+
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found',
+          statusCode: 404
+        };
+      }
+
+      const newTotal = total !== undefined ? total : user.apiCreditsTotal;
+      const newUsed = used !== undefined ? used : user.apiCreditsUsed;
+      const previousBalance = user.apiCreditsTotal - user.apiCreditsUsed;
+      const balance = newTotal - newUsed;
+
+      let transaction = null;
+      if (balance !== previousBalance) {
+        transaction = await CreditTransaction.create({
+          user: user._id,
+          amount: balance - previousBalance,
+          type: 'adjustment',
+          description,
+          balanceAfter: balance
+        });
+      }
+
+      checkBalanceAlerts(user, balance, newTotal);
+
+      return {
+        success: true,
+        transaction,
+        totalCredits: newTotal,
+        usedCredits: newUsed,
+        remainingCredits: balance
+      };
+    } catch (error) {
+      console.error('Error setting credits:', error);
+      return {
+        success: false,
+        message: 'Error updating API credits',
+        statusCode: 500
+      };
+    }
+  },
+
+  /**
+   * Write an `adjustment` that brings the ledger in line with the user's stored balance,
+   * without changing the balance (used by ledger reconciliation)
+   * @param {String} userId - User ID
+   * @param {Number} amount - Difference between the stored balance and the replayed ledger
+   * @param {String} description - Reason for the correction
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async recordLedgerCorrection(userId, amount, description) {
+    try {
+      const user = await User.findById(userId).select('apiCreditsTotal apiCreditsUsed');
+
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found',
+          statusCode: 404
+        };
+      }
+
+      const transaction = await CreditTransaction.create({
+        user: user._id,
+        amount,
+        type: 'adjustment',
+        description,
+        balanceAfter: user.apiCreditsTotal - user.apiCreditsUsed
+      });
+
+      return {
+        success: true,
+        transaction
+      };
+    } catch (error) {
+      console.error('Error recording ledger correction:', error);
+      return {
+        success: false,
+        message: 'Error recording ledger correction',
+        statusCode: 500
+      };
+    }
+  },
   
   /**
    * Get credit transaction history for a user
@@ -193,22 +727,6 @@ export const creditService = {
         statusCode: 500
       };
     }
-  },
-  
-  /**
-   * Get credit cost for specific endpoints
-   * This allows you to charge different amounts for different API endpoints
-   * @param {String} endpointPath - API endpoint path
-   * @returns {Number} Credit cost for the endpoint
-   */
-  getEndpointCreditCost(endpointPath) {
-    // Define custom costs for specific endpoints
-    const costMap = {
-      '/api/estimate-calories': 1, // Default cost
-      // Add more endpoints with different costs as needed
-    };
-    
-    return costMap[endpointPath] || 1; // Default to 1 if not specified
   }
 };
 
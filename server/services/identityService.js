@@ -0,0 +1,212 @@
+// services/identityService.js
+import mongoose from 'mongoose';
+import UserIdentity from '../models/userIdentityModel.js';
+import User from '../models/userModel.js';
+import logger from '../utils/logger.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Fields returned to clients
+const toPublicIdentity = (identity) => ({
+  _id: identity._id,
+  provider: identity.provider,
+  email: identity.email || null,
+  lastLoginAt: identity.lastLoginAt || null,
+  createdAt: identity.createdAt,
+});
+
+// Create the identity, or return the existing one if a concurrent request just did
+const attach = async (user, provider, claims) => {
+  try {
+    return await UserIdentity.create({
+      user: user._id,
+      provider,
+      subject: claims.sub,
+      email: claims.email,
+      lastLoginAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    return UserIdentity.findOne({ provider, subject: claims.sub });
+  }
+};
+
+/**
+ * Service for the external sign-in identities (Google, Apple, OIDC) linked to users
+ */
+export const identityService = {
+  toPublicIdentity,
+
+  /**
+   * Find or create the user of a verified ID token.
+   * Lookup order: linked identity, legacy User.googleId, then an account with the same email.
+   * Linking by email needs an email the provider verified, and is refused for password
+   * accounts whose email was never verified (whoever created them may not own the address).
+   * @param {String} provider - Provider name
+   * @param {Object} claims - { sub, email, emailVerified, name } from oidcProviders.verifyIdToken()
+   * @param {Object} [options]
+   * @param {String} [options.name] - Name from the client (Apple only shares it with the app, on the first sign-in)
+   * @returns {Promise<Object>} { success, user, created } or { success: false, message, statusCode }
+   */
+  async signIn(provider, claims, { name } = {}) {
+    let identity = await UserIdentity.findOne({ provider, subject: claims.sub });
+    let user = identity ? await User.findById(identity.user) : null;
+
+    if (identity && !user) {
+      await UserIdentity.deleteOne({ _id: identity._id });
+      identity = null;
+    }
+
+    // Google accounts linked before identities existed
+    if (!user && provider === 'google') {
+      user = await User.findOne({ googleId: claims.sub });
+    }
+
+    if (!user && claims.email) {
+      const existing = await User.findOne({ email: claims.email });
+      if (existing) {
+        if (!claims.emailVerified || (existing.password && !existing.emailVerified)) {
+          return {
+            success: false,
+            message: 'An account with this email already exists. Log in to it and link this sign-in method from your account.',
+            statusCode: 409
+          };
+        }
+        user = existing;
+        logger.auth(`Linking ${provider} identity to existing account ${user._id} by verified email`);
+      }
+    }
+
+    let created = false;
+    if (!user) {
+      if (!claims.email) {
+        return {
+          success: false,
+          message: 'The provider did not share an email address. Sign up with email first, then link this sign-in method.',
+          statusCode: 400
+        };
+      }
+
+      user = await User.create({
+        name: claims.name || name || claims.email.split('@')[0],
+        email: claims.email,
+        emailVerified: claims.emailVerified,
+        emailVerifiedAt: claims.emailVerified ? new Date() : undefined,
+      });
+      created = true;
+      logger.auth(`Created user ${user._id} via ${provider} sign-in`);
+    } else if (claims.emailVerified && claims.email === user.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    if (identity) {
+      await UserIdentity.updateOne({ _id: identity._id }, { $set: { lastLoginAt: new Date(), email: claims.email } });
+    } else {
+      await attach(user, provider, claims);
+    }
+
+    return { success: true, user, created };
+  },
+
+  /**
+   * Link another identity to a logged-in user
+   * @param {String} userId - User ID
+   * @param {String} provider - Provider name
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Promise<Object>} { success, identity, created } or { success: false, message, statusCode }
+   */
+  async linkIdentity(userId, provider, claims) {
+    const existing = await UserIdentity.findOne({ provider, subject: claims.sub });
+    if (existing) {
+      if (existing.user.toString() !== userId.toString()) {
+        return { success: false, message: 'This sign-in account is already linked to another user', statusCode: 409 };
+      }
+      return { success: true, identity: toPublicIdentity(existing), created: false };
+    }
+
+    const legacyOwner = provider === 'google' ? await User.findOne({ googleId: claims.sub }).select('_id') : null;
+    if (legacyOwner && legacyOwner._id.toString() !== userId.toString()) {
+      return { success: false, message: 'This sign-in account is already linked to another user', statusCode: 409 };
+    }
+
+    const identity = await attach({ _id: userId }, provider, claims);
+    if (identity.user.toString() !== userId.toString()) {
+      return { success: false, message: 'This sign-in account is already linked to another user', statusCode: 409 };
+    }
+
+    logger.auth(`Linked ${provider} identity to user ${userId}`);
+    return { success: true, identity: toPublicIdentity(identity), created: true };
+  },
+
+  /**
+   * Identities of a user, oldest first
+   * @param {String} userId - User ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listIdentities(userId) {
+    const user = await User.findById(userId).select('googleId');
+    if (user && user.googleId) {
+      await this.migrateLegacyGoogleId(user);
+    }
+
+    const identities = await UserIdentity.find({ user: userId }).sort({ createdAt: 1 });
+    return identities.map(toPublicIdentity);
+  },
+
+  /**
+   * Unlink an identity. The user must keep a way to sign in: a password or another identity.
+   * @param {String} userId - User ID
+   * @param {String} identityId - UserIdentity ID
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode }
+   */
+  async unlinkIdentity(userId, identityId) {
+    if (!mongoose.Types.ObjectId.isValid(identityId)) {
+      return { success: false, message: `The provided ID '${identityId}' is not a valid MongoDB ObjectId`, statusCode: 400 };
+    }
+
+    const identity = await UserIdentity.findOne({ _id: identityId, user: userId });
+    if (!identity) {
+      return { success: false, message: 'Identity not found', statusCode: 404 };
+    }
+
+    const user = await User.findById(userId);
+    const others = await UserIdentity.countDocuments({ user: userId, _id: { $ne: identity._id } });
+    if (!user.password && others === 0) {
+      return {
+        success: false,
+        message: 'This is your only sign-in method. Set a password (forgot password) or link another one first.',
+        statusCode: 400
+      };
+    }
+
+    await UserIdentity.deleteOne({ _id: identity._id });
+    if (identity.provider === 'google' && user.googleId === identity.subject) {
+      await User.updateOne({ _id: userId }, { $unset: { googleId: 1 } });
+    }
+
+    logger.auth(`Unlinked ${identity.provider} identity from user ${userId}`);
+    return { success: true };
+  },
+
+  /**
+   * Create the Google identity of a user linked through User.googleId
+   * @param {Object} user - User with googleId
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyGoogleId(user) {
+    await attach(user, 'google', { sub: user.googleId });
+  },
+
+  /**
+   * Delete all identities of a user (account removal)
+   * @param {String} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserIdentities(userId) {
+    await UserIdentity.deleteMany({ user: userId });
+  }
+};
+
+export default identityService;
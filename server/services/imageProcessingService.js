@@ -0,0 +1,103 @@
+// services/imageProcessingService.js
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+// Formats we re-encode as-is; anything else (GIF, TIFF, ...) becomes JPEG
+const OUTPUT_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const getMaxDimension = () => parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 1600;
+const getThumbnailSize = () => parseInt(process.env.IMAGE_THUMBNAIL_SIZE, 10) || 320;
+
+/**
+ * Service for normalizing uploaded food images before they reach the model or storage
+ */
+export const imageProcessingService = {
+  /**
+   * Auto-rotate by EXIF orientation, strip all metadata (EXIF, GPS, ICC comments)
+   * and downscale so neither side exceeds IMAGE_MAX_DIMENSION (default 1600px)
+   * @param {Buffer} buffer - Uploaded image bytes
+   * @param {String} mimeType - Uploaded MIME type
+   * @returns {Promise<Object>} { buffer, mimeType, width, height }
+   */
+  async normalize(buffer, mimeType) {
+    const maxDimension = getMaxDimension();
+    const format = OUTPUT_FORMATS[mimeType] || 'jpeg';
+
+    // sharp drops metadata on output unless withMetadata() is called
+    const { data, info } = await sharp(buffer, { failOn: 'error' })
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .toFormat(format, format === 'jpeg' ? { quality: 85, mozjpeg: true } : {})
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      mimeType: `image/${info.format}`,
+      width: info.width,
+      height: info.height,
+    };
+  },
+
+  /**
+   * Create a small JPEG thumbnail (IMAGE_THUMBNAIL_SIZE, default 320px on the longest side)
+   * @param {Buffer} buffer - Image bytes, ideally already normalized
+   * @returns {Promise<Object>} { buffer, mimeType }
+   */
+  async createThumbnail(buffer) {
+    const size = getThumbnailSize();
+    const data = await sharp(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70, mozjpeg: true })
+      .toBuffer();
+
+    return { buffer: data, mimeType: 'image/jpeg' };
+  },
+
+  /**
+   * Normalize an upload and build its thumbnail.
+   * Images sharp cannot decode (e.g. HEIC, or corrupt files) are rejected with 415, since
+   * their metadata (EXIF, GPS) cannot be stripped. IMAGE_PROCESSING_PASSTHROUGH=true passes
+   * them through unchanged, metadata included, without a thumbnail.
+   * @param {Buffer} buffer - Uploaded image bytes
+   * @param {String} mimeType - Uploaded MIME type
+   * @returns {Promise<Object>} { success, image, thumbnail } or { success: false, message, statusCode }
+   */
+  async processUpload(buffer, mimeType) {
+    try {
+      const image = await this.normalize(buffer, mimeType);
+      const thumbnail = await this.createThumbnail(image.buffer);
+
+      logger.debug('Image normalized', {
+        originalBytes: buffer.length,
+        normalizedBytes: image.buffer.length,
+        width: image.width,
+        height: image.height,
+      });
+
+      return { success: true, image, thumbnail };
+    } catch (error) {
+      if (process.env.IMAGE_PROCESSING_PASSTHROUGH === 'true') {
+        logger.warn('Image processing failed, using original upload with its metadata', { mimeType, error: error.message });
+        return {
+          success: true,
+          image: { buffer, mimeType },
+          thumbnail: null
+        };
+      }
+
+      logger.warn('Rejected image that could not be processed', { mimeType, error: error.message });
+      return {
+        success: false,
+        message: 'Unsupported or corrupt image. Please upload a JPEG, PNG or WebP photo',
+        statusCode: 415
+      };
+    }
+  }
+};
+
+export default imageProcessingService;
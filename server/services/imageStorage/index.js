@@ -0,0 +1,109 @@
+// services/imageStorage/index.js
+import { v4 as uuidv4 } from 'uuid';
+import localDriver from './localDriver.js';
+import s3Driver from './s3Driver.js';
+
+const drivers = {
+  [localDriver.name]: localDriver,
+  [s3Driver.name]: s3Driver,
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+};
+
+/**
+ * Blob storage for food images. The driver is chosen with IMAGE_STORAGE_DRIVER
+ * (`local` by default, or `s3`). Every driver exposes put/get/delete by key.
+ */
+export const imageStorage = {
+  /**
+   * Driver configured for this server
+   * @returns {Object} Storage driver
+   */
+  getDriver() {
+    const name = (process.env.IMAGE_STORAGE_DRIVER || localDriver.name).toLowerCase();
+    const driver = drivers[name];
+    if (!driver) {
+      throw new Error(`Unknown image storage driver '${name}'. Available drivers: ${Object.keys(drivers).join(', ')}`);
+    }
+    return driver;
+  },
+
+  /**
+   * Check that the configured driver can work where the server runs: serverless
+   * platforms (Vercel, AWS Lambda) have a read-only, per-instance filesystem, so
+   * the local driver cannot store images there
+   * @returns {Object} { success } or { success: false, message }
+   */
+  checkConfiguration() {
+    let driver;
+    try {
+      driver = this.getDriver();
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    const serverless = Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+    if (serverless && driver.name === localDriver.name) {
+      return {
+        success: false,
+        message: 'The local image storage driver does not work on serverless deployments. Set IMAGE_STORAGE_DRIVER=s3 and its S3_* settings'
+      };
+    }
+    return { success: true };
+  },
+
+  /**
+   * Build a unique storage key for a user's image
+   * @param {String} userId - Owner of the image
+   * @param {String} contentType - MIME type, used for the file extension
+   * @returns {String} e.g. "food-analyses/<userId>/<uuid>.jpg"
+   */
+  buildKey(userId, contentType) {
+    const extension = EXTENSIONS[contentType] || 'bin';
+    return `food-analyses/${userId}/${uuidv4()}.${extension}`;
+  },
+
+  /**
+   * Store an image for a user
+   * @param {String} userId - Owner of the image
+   * @param {Buffer} buffer - Image bytes
+   * @param {String} contentType - MIME type
+   * @returns {Promise<Object>} Image metadata for FoodAnalysis.image ({ storageKey, contentType, size })
+   */
+  async saveImage(userId, buffer, contentType) {
+    const storageKey = this.buildKey(userId, contentType);
+    await this.getDriver().put(storageKey, buffer, contentType);
+    return {
+      storageKey,
+      contentType,
+      size: buffer.length,
+    };
+  },
+
+  /**
+   * Open a stored image for reading
+   * @param {String} storageKey - Key returned by saveImage()
+   * @returns {Promise<Object|null>} { stream, contentLength } or null if missing
+   */
+  async getImage(storageKey) {
+    return this.getDriver().get(storageKey);
+  },
+
+  /**
+   * Delete a stored image
+   * @param {String} storageKey - Key returned by saveImage()
+   * @returns {Promise<void>}
+   */
+  async deleteImage(storageKey) {
+    return this.getDriver().delete(storageKey);
+  }
+};
+
+export default imageStorage;
@@ -0,0 +1,69 @@
+// services/imageStorage/localDriver.js
+import fs from 'fs';
+import path from 'path';
+
+const getRootDir = () => path.resolve(process.env.IMAGE_STORAGE_DIR || 'uploads');
+
+// Resolve a storage key to a path inside the root directory, refusing anything that escapes it
+const resolveKeyPath = (key) => {
+  const rootDir = getRootDir();
+  const filePath = path.resolve(rootDir, key);
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+  return filePath;
+};
+
+/**
+ * Image storage on the local filesystem (IMAGE_STORAGE_DIR, default ./uploads)
+ */
+const localDriver = {
+  name: 'local',
+
+  /**
+   * Store an image
+   * @param {String} key - Storage key (relative path)
+   * @param {Buffer} buffer - Image bytes
+   * @param {String} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer, contentType) {
+    const filePath = resolveKeyPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  /**
+   * Open a stored image for reading
+   * @param {String} key - Storage key
+   * @returns {Promise<Object|null>} { stream, contentLength } or null if the image does not exist
+   */
+  async get(key) {
+    const filePath = resolveKeyPath(key);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return {
+        stream: fs.createReadStream(filePath),
+        contentLength: stats.size,
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a stored image (missing images are ignored)
+   * @param {String} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(resolveKeyPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+export default localDriver;
@@ -0,0 +1,88 @@
+// services/imageStorage/s3Driver.js
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+let client = null;
+
+// Created on first use so the local driver works without any S3 settings
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most S3-compatible servers need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || !!process.env.S3_ENDPOINT,
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      } : undefined,
+    });
+  }
+  return client;
+};
+
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not set');
+  }
+  return process.env.S3_BUCKET;
+};
+
+/**
+ * Image storage on S3 or an S3-compatible server such as MinIO (set S3_ENDPOINT)
+ */
+const s3Driver = {
+  name: 's3',
+
+  /**
+   * Store an image
+   * @param {String} key - Object key
+   * @param {Buffer} buffer - Image bytes
+   * @param {String} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer, contentType) {
+    await getClient().send(new PutObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    }));
+  },
+
+  /**
+   * Open a stored image for reading
+   * @param {String} key - Object key
+   * @returns {Promise<Object|null>} { stream, contentLength } or null if the image does not exist
+   */
+  async get(key) {
+    try {
+      const response = await getClient().send(new GetObjectCommand({
+        Bucket: getBucket(),
+        Key: key,
+      }));
+      return {
+        stream: response.Body,
+        contentLength: response.ContentLength,
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a stored image (S3 ignores missing keys)
+   * @param {String} key - Object key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await getClient().send(new DeleteObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+    }));
+  }
+};
+
+export default s3Driver;
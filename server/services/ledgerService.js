@@ -0,0 +1,151 @@
+// services/ledgerService.js
+import mongoose from 'mongoose';
+import User, { STARTING_CREDITS } from '../models/userModel.js';
+import CreditTransaction from '../models/creditTransactionModel.js';
+import creditService from './creditService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Service for checking users' stored balances against their credit ledger.
+ * A user's ledger is the list of their CreditTransaction amounts; replayed from
+ * STARTING_CREDITS it must end at apiCreditsTotal - apiCreditsUsed.
+ */
+export const ledgerService = {
+  /**
+   * Replay a user's transactions in order
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { ledgerBalance, transactions, balanceAfterMismatches, firstMismatch }
+   */
+  async replay(userId) {
+    const cursor = CreditTransaction.find({ user: userId })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('amount balanceAfter createdAt')
+      .lean()
+      .cursor();
+
+    let ledgerBalance = STARTING_CREDITS;
+    let previousBalanceAfter = STARTING_CREDITS;
+    let transactions = 0;
+    let balanceAfterMismatches = 0;
+    let firstMismatch = null;
+
+    for await (const transaction of cursor) {
+      ledgerBalance += transaction.amount;
+      transactions += 1;
+
+      // A jump between consecutive balanceAfter values means the balance changed without a transaction.
+      // Concurrent requests can record their transactions out of order, which also shows up here.
+      const expected = previousBalanceAfter + transaction.amount;
+      if (transaction.balanceAfter !== expected) {
+        balanceAfterMismatches += 1;
+        if (!firstMismatch) {
+          firstMismatch = {
+            transaction: transaction._id,
+            createdAt: transaction.createdAt,
+            expected,
+            recorded: transaction.balanceAfter
+          };
+        }
+      }
+      previousBalanceAfter = transaction.balanceAfter;
+    }
+
+    return { ledgerBalance, transactions, balanceAfterMismatches, firstMismatch };
+  },
+
+  /**
+   * Compare a user's stored balance with their replayed ledger and optionally fix the difference.
+   * The stored balance is kept; the fix is an `adjustment` transaction that records the difference in the ledger.
+   * @param {Object} user - User with _id, email, apiCreditsTotal and apiCreditsUsed
+   * @param {Object} [options]
+   * @param {Boolean} [options.fix] - Write a correcting adjustment when the balances differ
+   * @returns {Promise<Object>} Reconciliation report for the user
+   */
+  async reconcileUser(user, { fix = false } = {}) {
+    const storedBalance = user.apiCreditsTotal - user.apiCreditsUsed;
+    const replayed = await this.replay(user._id);
+    const difference = storedBalance - replayed.ledgerBalance;
+
+    const report = {
+      userId: user._id,
+      email: user.email,
+      storedBalance,
+      ...replayed,
+      difference,
+      fixed: false
+    };
+
+    if (!fix || difference === 0) {
+      return report;
+    }
+
+    // A request may have changed the balance after it was read; only fix a difference that is stable
+    const freshUser = await User.findById(user._id).select('apiCreditsTotal apiCreditsUsed').lean();
+    const freshReplay = freshUser ? await this.replay(user._id) : null;
+    if (!freshUser || freshUser.apiCreditsTotal - freshUser.apiCreditsUsed - freshReplay.ledgerBalance !== difference) {
+      report.skipped = 'Balance changed during reconciliation';
+      return report;
+    }
+
+    const result = await creditService.recordLedgerCorrection(
+      user._id,
+      difference,
+      `Ledger reconciliation: stored balance ${storedBalance}, ledger balance ${replayed.ledgerBalance}`
+    );
+    if (!result.success) {
+      report.skipped = result.message;
+      return report;
+    }
+
+    report.fixed = true;
+    report.correction = result.transaction._id;
+    logger.credits(`Ledger of user ${user._id} corrected by ${difference}`, { storedBalance, ledgerBalance: replayed.ledgerBalance });
+    return report;
+  },
+
+  /**
+   * Reconcile one user or every user
+   * @param {Object} [options]
+   * @param {String} [options.userId] - Only this user
+   * @param {Boolean} [options.fix] - Write correcting adjustments
+   * @returns {Promise<Object>} { success, checked, mismatched, fixed, users } or { success: false, message, statusCode }
+   */
+  async reconcile({ userId, fix = false } = {}) {
+    const filter = {};
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return { success: false, message: 'Invalid user ID', statusCode: 400 };
+      }
+      filter._id = userId;
+    }
+
+    const summary = { success: true, checked: 0, mismatched: 0, fixed: 0, users: [] };
+    const cursor = User.find(filter).select('email apiCreditsTotal apiCreditsUsed').lean().cursor();
+
+    for await (const user of cursor) {
+      const report = await this.reconcileUser(user, { fix });
+      summary.checked += 1;
+
+      if (report.difference !== 0) summary.mismatched += 1;
+      if (report.fixed) summary.fixed += 1;
+
+      // Consistent users are only listed when a single user was requested
+      if (userId || report.difference !== 0 || report.balanceAfterMismatches > 0) {
+        summary.users.push(report);
+      }
+    }
+
+    if (userId && summary.checked === 0) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    logger.credits('Ledger reconciliation finished', {
+      checked: summary.checked,
+      mismatched: summary.mismatched,
+      fixed: summary.fixed
+    });
+    return summary;
+  }
+};
+
+export default ledgerService;
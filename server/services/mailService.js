@@ -0,0 +1,88 @@
+// services/mailService.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+let transporter = null;
+
+// Which mailer to use: MAIL_TRANSPORT=smtp|file, or SMTP when SMTP_HOST is set
+const getTransportType = () => {
+  const type = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+  if (type) return type;
+  return process.env.SMTP_HOST ? 'smtp' : null;
+};
+
+// Messages of the file transport are appended here, one JSON object per line
+const getMailFilePath = () => path.resolve(process.env.MAIL_FILE_PATH || 'mail-outbox.jsonl');
+
+/**
+ * Transport for MAIL_TRANSPORT:
+ * - smtp: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS. Point it at a
+ *   local catcher (e.g. MailHog on port 1025) during development.
+ * - file: messages are written to MAIL_FILE_PATH instead of being sent (tests, local runs)
+ * @returns {Object|null} Nodemailer transport, or null when no mailer is configured
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  const type = getTransportType();
+  if (type === 'smtp' && process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  } else if (type === 'file') {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else if (type) {
+    logger.warn(`Unknown or incomplete MAIL_TRANSPORT '${type}', emails are not sent`);
+  }
+  return transporter;
+};
+
+/**
+ * Service for outgoing email
+ */
+export const mailService = {
+  /**
+   * Send a plain text email
+   * @param {Object} message
+   * @param {String} message.to - Recipient address
+   * @param {String} message.subject - Subject line
+   * @param {String} message.text - Body
+   * @returns {Promise<Object>} { success, messageId } or { success: false, message }
+   */
+  async sendMail({ to, subject, text }) {
+    const transport = getTransporter();
+    if (!transport) {
+      logger.debug(`No mailer configured, email '${subject}' to ${to} not sent`);
+      return { success: false, message: 'Email is not configured' };
+    }
+
+    try {
+      const info = await transport.sendMail({
+        from: process.env.MAIL_FROM || 'Calorie API <no-reply@localhost>',
+        to,
+        subject,
+        text,
+      });
+
+      if (getTransportType() === 'file') {
+        const filePath = getMailFilePath();
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify({ ...JSON.parse(info.message), sentAt: new Date() })}\n`);
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      logger.error(`Error sending email '${subject}' to ${to}`, { error: error.message });
+      return { success: false, message: 'Failed to send email' };
+    }
+  }
+};
+
+export default mailService;
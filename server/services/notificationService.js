@@ -0,0 +1,167 @@
+// services/notificationService.js
+import axios from 'axios';
+import crypto from 'crypto';
+import User from '../models/userModel.js';
+import mailService from './mailService.js';
+import logger from '../utils/logger.js';
+import { signPayload } from '../utils/webhookSignature.js';
+import { checkPublicUrl, publicHttpAgent, publicHttpsAgent } from '../utils/outboundUrl.js';
+
+// Percentages of the credit limit ("20%") or absolute balances ("0")
+const DEFAULT_THRESHOLDS = '20%,5%,0';
+
+/**
+ * Parse CREDIT_ALERT_THRESHOLDS
+ * @returns {Array<Object>} [{ key, percent }] or [{ key, credits }]
+ */
+const getThresholds = () => (process.env.CREDIT_ALERT_THRESHOLDS ?? DEFAULT_THRESHOLDS)
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(key => (key.endsWith('%')
+    ? { key, percent: parseFloat(key) }
+    : { key, credits: parseFloat(key) }))
+  .filter(threshold => !isNaN(threshold.percent ?? threshold.credits));
+
+const getThresholdCredits = (threshold, limit) => (
+  threshold.percent !== undefined ? Math.floor(limit * threshold.percent / 100) : threshold.credits
+);
+
+/**
+ * Service for low-balance notifications by email and outgoing webhook
+ */
+export const notificationService = {
+  /**
+   * Secret used to sign a user's outgoing webhooks
+   * @returns {String}
+   */
+  generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  },
+
+  /**
+   * Notify a user whose balance just crossed an alert threshold. Each threshold fires once,
+   * and is re-armed when the balance rises above it again (refills, renewals, refunds).
+   * @param {Object} user - User after the balance change (email, notifications, creditAlerts)
+   * @param {Number} remaining - Balance after the change
+   * @param {Number} limit - Credit limit (apiCreditsTotal)
+   * @returns {Promise<Object>} { notified } thresholds notified by this call
+   */
+  async checkBalance(user, remaining, limit) {
+    const thresholds = getThresholds();
+    const crossed = thresholds.filter(threshold => remaining <= getThresholdCredits(threshold, limit));
+    const crossedKeys = crossed.map(threshold => threshold.key);
+    const alreadyNotified = user.creditAlerts || [];
+
+    const rearm = alreadyNotified.filter(key => !crossedKeys.includes(key));
+    if (rearm.length > 0) {
+      await User.updateOne({ _id: user._id }, { $pull: { creditAlerts: { $in: rearm } } });
+    }
+
+    const pending = crossedKeys.filter(key => !alreadyNotified.includes(key));
+    if (pending.length === 0) {
+      return { notified: [] };
+    }
+
+    // Claim the thresholds so concurrent requests only notify once
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, creditAlerts: { $nin: pending } },
+      { $addToSet: { creditAlerts: { $each: pending } } }
+    );
+    if (!claimed) {
+      return { notified: [] };
+    }
+
+    // Crossing several thresholds at once sends a single notification for the lowest one
+    const lowest = crossed.reduce((low, threshold) => (
+      getThresholdCredits(threshold, limit) < getThresholdCredits(low, limit) ? threshold : low
+    ));
+
+    await this.sendLowBalance(user, {
+      type: remaining <= 0 ? 'credits.exhausted' : 'credits.low_balance',
+      threshold: lowest.key,
+      thresholdCredits: getThresholdCredits(lowest, limit),
+      remaining,
+      limit,
+    });
+    return { notified: pending };
+  },
+
+  /**
+   * Send a low-balance notification through every channel the user enabled
+   * @param {Object} user - User (email, name, notifications)
+   * @param {Object} alert - { type, threshold, thresholdCredits, remaining, limit }
+   * @returns {Promise<void>}
+   */
+  async sendLowBalance(user, alert) {
+    const settings = user.notifications || {};
+    logger.credits(`Low balance alert for user ${user._id}`, alert);
+
+    if (settings.email !== false && user.email) {
+      const subject = alert.type === 'credits.exhausted'
+        ? 'You have run out of API credits'
+        : `Your API credits are running low (${alert.remaining} left)`;
+      await mailService.sendMail({
+        to: user.email,
+        subject,
+        text: [
+          `Hi ${user.name || ''},`.trim(),
+          '',
+          `You have ${alert.remaining} of ${alert.limit} API credits left.`,
+          alert.type === 'credits.exhausted'
+            ? 'Estimation requests will be rejected until credits are added or your plan renews.'
+            : `This is below your alert threshold of ${alert.threshold}.`,
+        ].join('\n'),
+      });
+    }
+
+    if (settings.webhookUrl) {
+      await this.sendWebhook(user, alert);
+    }
+  },
+
+  /**
+   * POST an event to the user's webhook URL, signed with their webhook secret
+   * (`X-Webhook-Signature: t=<timestamp>,v1=<hex hmac of "<timestamp>.<body>">`)
+   * @param {Object} user - User with notifications.webhookUrl and webhookSecret
+   * @param {Object} data - Event data; `type` becomes the event type
+   * @returns {Promise<Object>} { success } or { success: false, message }
+   */
+  async sendWebhook(user, data) {
+    const { webhookUrl, webhookSecret } = user.notifications || {};
+    const { type, ...rest } = data;
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data: { userId: String(user._id), ...rest },
+    });
+
+    // Checked again on every delivery: the host may resolve differently than when the URL was saved
+    const problem = await checkPublicUrl(webhookUrl);
+    if (problem) {
+      logger.warn(`Webhook to ${webhookUrl} not sent: URL ${problem}`, { userId: user._id }, 'credits');
+      return { success: false, message: `Webhook URL ${problem}` };
+    }
+
+    try {
+      await axios.post(webhookUrl, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Signature': signPayload(body, webhookSecret || ''),
+        },
+        timeout: 10000,
+        maxRedirects: 0,
+        // The agents refuse connections to private addresses (no DNS rebinding after the check)
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent,
+      });
+      return { success: true };
+    } catch (error) {
+      logger.warn(`Webhook delivery to ${webhookUrl} failed`, { userId: user._id, error: error.message }, 'credits');
+      return { success: false, message: 'Webhook delivery failed' };
+    }
+  }
+};
+
+export default notificationService;
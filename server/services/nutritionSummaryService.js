@@ -0,0 +1,197 @@
+// services/nutritionSummaryService.js
+import mongoose from 'mongoose';
+import FoodAnalysis from '../models/foodAnalysisModel.js';
+import logger from '../utils/logger.js';
+import { addDays, startOfDayInTimeZone, todayInTimeZone } from '../utils/timezone.js';
+
+export const GROUP_BY_OPTIONS = ['day', 'week', 'month'];
+
+// Summary total name -> stored FoodAnalysis field
+const SUMMED_FIELDS = {
+  calories: 'totalCalories',
+  proteinGrams: 'totalProteinGrams',
+  carbsGrams: 'totalCarbsGrams',
+  fatGrams: 'totalFatGrams',
+  fiberGrams: 'totalFiberGrams',
+  sugarGrams: 'totalSugarGrams',
+  sodiumMg: 'totalSodiumMg',
+};
+
+// Label format for each bucket size
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-%m-%d', // Monday the week starts on
+  month: '%Y-%m',
+};
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Service for aggregated nutrition summaries over a user's FoodAnalysis records
+ */
+export const nutritionSummaryService = {
+  /**
+   * Validate summary query parameters and turn them into a date range
+   * @param {Object} query - Request query ({ from, to, groupBy })
+   * @param {String} [timeZone] - IANA time zone the days are in
+   * @returns {Object} { success, from, to, startDate, endDate, groupBy, timeZone } or { success: false, message, statusCode }
+   */
+  parseSummaryQuery({ from, to, groupBy = 'day' }, timeZone = 'UTC') {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      return {
+        success: false,
+        message: `Invalid groupBy '${groupBy}'. Use one of: ${GROUP_BY_OPTIONS.join(', ')}`,
+        statusCode: 400
+      };
+    }
+
+    if ((from && !DATE_ONLY_REGEX.test(from)) || (to && !DATE_ONLY_REGEX.test(to))) {
+      return {
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format',
+        statusCode: 400
+      };
+    }
+
+    // Default to the last 7 days, including today
+    const toDate = to || todayInTimeZone(timeZone);
+    const fromDate = from || addDays(toDate, -6);
+
+    // Local midnight of the first day up to local midnight after the last day
+    const startDate = startOfDayInTimeZone(fromDate, timeZone);
+    const endDate = startOfDayInTimeZone(addDays(toDate, 1), timeZone);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate >= endDate) {
+      return {
+        success: false,
+        message: 'from must be a valid date on or before to',
+        statusCode: 400
+      };
+    }
+
+    return {
+      success: true,
+      from: fromDate,
+      to: toDate,
+      startDate,
+      endDate,
+      groupBy,
+      timeZone
+    };
+  },
+
+  /**
+   * Build the aggregation pipeline for a summary
+   * @param {Object} options
+   * @param {String} options.userId - Owner of the records
+   * @param {Date} options.startDate - Inclusive lower bound on createdAt
+   * @param {Date} options.endDate - Exclusive upper bound on createdAt
+   * @param {String} options.groupBy - 'day', 'week' or 'month'
+   * @param {String} [options.timeZone] - IANA time zone buckets are aligned to
+   * @returns {Array<Object>} Aggregation pipeline
+   */
+  buildPipeline({ userId, startDate, endDate, groupBy, timeZone = 'UTC' }) {
+    const sumPerMealType = {};
+    const sumPerBucket = {};
+    Object.entries(SUMMED_FIELDS).forEach(([name, field]) => {
+      sumPerMealType[name] = { $sum: { $ifNull: [`$${field}.value`, 0] } };
+      sumPerBucket[name] = { $sum: `$${name}` };
+    });
+
+    return [
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          createdAt: { $gte: startDate, $lt: endDate },
+        }
+      },
+      {
+        $group: {
+          _id: {
+            bucket: { $dateTrunc: { date: '$createdAt', unit: groupBy, timezone: timeZone, startOfWeek: 'monday' } },
+            mealType: { $ifNull: ['$mealType', 'Unknown'] },
+          },
+          count: { $sum: 1 },
+          healthScoreSum: { $sum: { $ifNull: ['$overallHealthScore', 0] } },
+          ...sumPerMealType,
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.bucket',
+          mealCount: { $sum: '$count' },
+          healthScoreSum: { $sum: '$healthScoreSum' },
+          mealsByType: { $push: { k: '$_id.mealType', v: '$count' } },
+          ...sumPerBucket,
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          start: '$_id',
+          period: { $dateToString: { date: '$_id', format: PERIOD_FORMATS[groupBy], timezone: timeZone } },
+          mealCount: 1,
+          mealsByType: { $arrayToObject: '$mealsByType' },
+          averageHealthScore: { $divide: ['$healthScoreSum', '$mealCount'] },
+          ...Object.fromEntries(Object.keys(SUMMED_FIELDS).map(name => [name, 1])),
+        }
+      },
+    ];
+  },
+
+  /**
+   * Get nutrition totals per day, week or month for a user
+   * @param {String} userId - User ID
+   * @param {Object} query - Request query ({ from, to, groupBy })
+   * @param {String} [timeZone] - IANA time zone for day boundaries
+   * @returns {Promise<Object>} Result of the operation with summary buckets
+   */
+  async getSummary(userId, query, timeZone = 'UTC') {
+    const range = this.parseSummaryQuery(query, timeZone);
+    if (!range.success) {
+      return range;
+    }
+
+    try {
+      const rows = await FoodAnalysis.aggregate(this.buildPipeline({ userId, ...range }));
+
+      const buckets = rows.map(row => ({
+        period: row.period,
+        start: row.start,
+        totals: Object.fromEntries(Object.keys(SUMMED_FIELDS).map(name => [name, round(row[name])])),
+        mealCount: row.mealCount,
+        mealsByType: row.mealsByType,
+        averageHealthScore: round(row.averageHealthScore),
+      }));
+
+      const totals = Object.fromEntries(Object.keys(SUMMED_FIELDS).map(name => [
+        name,
+        round(buckets.reduce((sum, bucket) => sum + bucket.totals[name], 0))
+      ]));
+      const mealCount = buckets.reduce((sum, bucket) => sum + bucket.mealCount, 0);
+
+      return {
+        success: true,
+        from: range.from,
+        to: range.to,
+        groupBy: range.groupBy,
+        timeZone: range.timeZone,
+        totals,
+        mealCount,
+        buckets
+      };
+    } catch (error) {
+      logger.error('Error building nutrition summary', { userId, error }, 'db');
+      return {
+        success: false,
+        message: 'Failed to build nutrition summary',
+        statusCode: 500
+      };
+    }
+  }
+};
+
+export default nutritionSummaryService;
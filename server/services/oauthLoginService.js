@@ -0,0 +1,142 @@
+// services/oauthLoginService.js
+import crypto from 'crypto';
+import OAuthLogin from '../models/oauthLoginModel.js';
+import User from '../models/userModel.js';
+import logger from '../utils/logger.js';
+
+// Time to complete the login at the provider
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+// Lifetime of the one-time code in the redirect to the client
+const CODE_TTL_MS = 60 * 1000;
+
+// RFC 7636: verifiers are 43-128 characters of [A-Za-z0-9-._~]; an S256 challenge is 43 base64url characters
+const CODE_VERIFIER_REGEX = /^[A-Za-z0-9\-._~]{43,128}$/;
+const CODE_CHALLENGE_REGEX = /^[A-Za-z0-9_-]{43}$/;
+const CLIENT_STATE_REGEX = /^[\x21-\x7e]{16,512}$/;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Service for the browser OAuth handoff: instead of putting tokens in the redirect
+ * to the client, the provider callback issues a short-lived one-time code that the
+ * client exchanges with POST, proving with PKCE that it started the login.
+ */
+export const oauthLoginService = {
+  /**
+   * Start a login before redirecting to the provider
+   * @param {String} provider - e.g. "google"
+   * @param {Object} params - From the client's query string
+   * @param {String} params.codeChallenge - base64url(sha256(code_verifier))
+   * @param {String} [params.codeChallengeMethod] - Must be "S256"
+   * @param {String} params.state - Random value the client stored to check the redirect
+   * @returns {Promise<Object>} { success, providerState } or { success: false, message, statusCode }
+   */
+  async startLogin(provider, { codeChallenge, codeChallengeMethod, state }) {
+    if ((codeChallengeMethod || 'S256') !== 'S256') {
+      return { success: false, message: 'code_challenge_method must be S256', statusCode: 400 };
+    }
+    if (typeof codeChallenge !== 'string' || !CODE_CHALLENGE_REGEX.test(codeChallenge)) {
+      return { success: false, message: 'code_challenge must be the base64url SHA-256 of the code verifier', statusCode: 400 };
+    }
+    if (typeof state !== 'string' || !CLIENT_STATE_REGEX.test(state)) {
+      return { success: false, message: 'state must be a random string of at least 16 characters', statusCode: 400 };
+    }
+
+    const providerState = crypto.randomBytes(32).toString('base64url');
+    await OAuthLogin.create({
+      provider,
+      stateHash: hash(providerState),
+      clientState: state,
+      codeChallenge,
+      expiresAt: new Date(Date.now() + LOGIN_TTL_MS),
+    });
+
+    return { success: true, providerState };
+  },
+
+  /**
+   * Whether a provider callback belongs to a login started here and still pending
+   * @param {String} providerState - `state` of the callback
+   * @returns {Promise<Boolean>}
+   */
+  async isPending(providerState) {
+    if (!providerState || typeof providerState !== 'string') {
+      return false;
+    }
+    return Boolean(await OAuthLogin.exists({
+      stateHash: hash(providerState),
+      callbackAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }));
+  },
+
+  /**
+   * Record the user of a successful provider callback and issue the one-time code
+   * @param {String} providerState - `state` of the callback
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<Object>} { success, code, clientState } or { success: false, message, statusCode }
+   */
+  async completeLogin(providerState, user) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    const login = await OAuthLogin.findOneAndUpdate(
+      { stateHash: hash(String(providerState || '')), callbackAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { $set: { user: user._id, codeHash: hash(code), callbackAt: new Date(), expiresAt: new Date(Date.now() + CODE_TTL_MS) } },
+      { new: true }
+    );
+    if (!login) {
+      return { success: false, message: 'Unknown or expired login', statusCode: 400 };
+    }
+
+    return { success: true, code, clientState: login.clientState };
+  },
+
+  /**
+   * Exchange a one-time code for the signed-in user. The code is spent even when
+   * the verifier or state is wrong.
+   * @param {Object} params
+   * @param {String} params.code - Code from the redirect
+   * @param {String} params.codeVerifier - PKCE verifier the challenge was made from
+   * @param {String} params.state - State the client started the login with
+   * @returns {Promise<Object>} { success, user } or { success: false, message, statusCode }
+   */
+  async exchangeCode({ code, codeVerifier, state }) {
+    const invalid = { success: false, message: 'Invalid or expired authorization code', statusCode: 400 };
+    if (!code || typeof code !== 'string') {
+      return invalid;
+    }
+    if (typeof codeVerifier !== 'string' || !CODE_VERIFIER_REGEX.test(codeVerifier)) {
+      return { success: false, message: 'code_verifier must be 43-128 characters of [A-Za-z0-9-._~]', statusCode: 400 };
+    }
+
+    const login = await OAuthLogin.findOneAndUpdate(
+      { codeHash: hash(code), exchangedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { $set: { exchangedAt: new Date() } },
+      { new: true }
+    );
+    if (!login) {
+      return invalid;
+    }
+
+    const challenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (!safeEqual(challenge, login.codeChallenge) || !safeEqual(state, login.clientState)) {
+      logger.warn(`OAuth code exchange rejected for user ${login.user}: PKCE or state mismatch`, null, 'auth');
+      return invalid;
+    }
+
+    const user = await User.findById(login.user).select('-password');
+    if (!user) {
+      return invalid;
+    }
+
+    return { success: true, user };
+  }
+};
+
+export default oauthLoginService;
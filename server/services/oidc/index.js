@@ -0,0 +1,150 @@
+// services/oidc/index.js
+import crypto from 'crypto';
+import { verifyJwt, discoverJwksUri } from './jwks.js';
+import logger from '../../utils/logger.js';
+
+// Comma-separated env values, e.g. several client IDs
+const csv = (...values) => values
+  .filter(Boolean)
+  .flatMap(value => String(value).split(','))
+  .map(value => value.trim())
+  .filter(Boolean);
+
+const PROVIDER_NAME_REGEX = /^[a-z0-9-]+$/;
+
+// Providers with fixed endpoints; enabled when their client IDs are set
+const builtInProviders = {
+  google: () => ({
+    name: 'google',
+    label: 'Google',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    audiences: csv(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_IOS_CLIENT_ID),
+  }),
+  apple: () => ({
+    name: 'apple',
+    label: 'Apple',
+    issuers: ['https://appleid.apple.com'],
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    audiences: csv(process.env.APPLE_CLIENT_ID), // App bundle ID and/or Services ID
+  }),
+};
+
+let parsedGeneric = { raw: undefined, providers: [] };
+
+/**
+ * Generic providers from OIDC_PROVIDERS, a JSON array of
+ * { name, label?, issuer, clientId (string or array), jwksUri? }.
+ * Without jwksUri the key set URL is read from the issuer's discovery document.
+ * @returns {Array<Object>}
+ */
+const getGenericProviders = () => {
+  const raw = process.env.OIDC_PROVIDERS;
+  if (parsedGeneric.raw === raw) {
+    return parsedGeneric.providers;
+  }
+
+  let providers = [];
+  if (raw) {
+    try {
+      providers = JSON.parse(raw)
+        .filter((provider) => {
+          const valid = provider && PROVIDER_NAME_REGEX.test(provider.name || '') && provider.issuer && provider.clientId
+            && !builtInProviders[provider.name];
+          if (!valid) logger.warn(`Ignoring invalid OIDC provider ${JSON.stringify(provider)}`);
+          return valid;
+        })
+        .map(provider => ({
+          name: provider.name,
+          label: provider.label || provider.name,
+          issuers: [provider.issuer],
+          jwksUri: provider.jwksUri,
+          audiences: csv(...[].concat(provider.clientId)),
+        }));
+    } catch (error) {
+      logger.error(`OIDC_PROVIDERS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  parsedGeneric = { raw, providers };
+  return providers;
+};
+
+/**
+ * Sign-in providers verified with OpenID Connect ID tokens (Google, Apple and
+ * generic OIDC). Tokens are checked locally against the provider's cached JWKS.
+ */
+export const oidcProviders = {
+  /**
+   * Configured provider by name
+   * @param {String} name - e.g. "google", "apple" or a name from OIDC_PROVIDERS
+   * @returns {Object|null} { name, label, issuers, jwksUri, audiences }
+   */
+  get(name) {
+    const builtIn = builtInProviders[name];
+    const provider = builtIn ? builtIn() : getGenericProviders().find(generic => generic.name === name);
+    return provider && provider.audiences.length > 0 ? provider : null;
+  },
+
+  /**
+   * Providers that can be used on this server
+   * @returns {Array<Object>} { name, label }
+   */
+  list() {
+    return [...Object.keys(builtInProviders), ...getGenericProviders().map(provider => provider.name)]
+      .map(name => this.get(name))
+      .filter(Boolean)
+      .map(({ name, label }) => ({ name, label }));
+  },
+
+  /**
+   * Verify an ID token issued by a provider
+   * @param {String} name - Provider name
+   * @param {String} idToken - ID token from the client
+   * @param {Object} [options]
+   * @param {String} [options.nonce] - Nonce the client sent to the provider (raw or SHA-256 hex, as Apple expects)
+   * @returns {Promise<Object>} { success, claims: { sub, email, emailVerified, name } } or { success: false, message, statusCode }
+   */
+  async verifyIdToken(name, idToken, { nonce } = {}) {
+    const provider = this.get(name);
+    if (!provider) {
+      return { success: false, message: `Sign-in provider '${name}' is not configured`, statusCode: 404 };
+    }
+    if (!idToken || typeof idToken !== 'string') {
+      return { success: false, message: 'ID token is required', statusCode: 400 };
+    }
+
+    let payload;
+    try {
+      const jwksUri = provider.jwksUri || await discoverJwksUri(provider.issuers[0]);
+      payload = await verifyJwt(idToken, { jwksUri, issuers: provider.issuers, audiences: provider.audiences });
+    } catch (error) {
+      logger.warn(`${provider.label} ID token rejected: ${error.message}`, null, 'auth');
+      return { success: false, message: `Invalid ${provider.label} token`, statusCode: 401 };
+    }
+
+    if (nonce !== undefined) {
+      const hashedNonce = crypto.createHash('sha256').update(String(nonce)).digest('hex');
+      if (!payload.nonce || (payload.nonce !== nonce && payload.nonce !== hashedNonce)) {
+        return { success: false, message: `Invalid ${provider.label} token`, statusCode: 401 };
+      }
+    }
+
+    if (!payload.sub) {
+      return { success: false, message: `Invalid ${provider.label} token`, statusCode: 401 };
+    }
+
+    return {
+      success: true,
+      claims: {
+        sub: String(payload.sub),
+        email: payload.email ? String(payload.email).toLowerCase() : undefined,
+        // Apple sends booleans as strings
+        emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+        name: payload.name || [payload.given_name, payload.family_name].filter(Boolean).join(' ') || undefined,
+      },
+    };
+  }
+};
+
+export default oidcProviders;
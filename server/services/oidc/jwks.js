@@ -0,0 +1,124 @@
+// services/oidc/jwks.js
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+// Signing algorithms accepted in ID tokens (never "none" or shared-secret HS*)
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+// Seconds of clock difference tolerated for exp/iat/nbf
+const CLOCK_TOLERANCE_SECONDS = 60;
+// An unknown `kid` refetches the key set at most this often (providers rotate keys)
+const MIN_REFETCH_INTERVAL_MS = 30 * 1000;
+const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 5000;
+
+const getDefaultTtlMs = () => (parseInt(process.env.JWKS_CACHE_TTL_SECONDS, 10) || 3600) * 1000;
+
+// jwksUri -> { keys: Map(kid -> KeyObject), fetchedAt, expiresAt }
+const keySets = new Map();
+// issuer -> { jwksUri, expiresAt }
+const discoveries = new Map();
+
+// Cache lifetime from Cache-Control max-age, else JWKS_CACHE_TTL_SECONDS
+const getTtlMs = (headers) => {
+  const match = /max-age=(\d+)/.exec(headers?.['cache-control'] || '');
+  return match ? parseInt(match[1], 10) * 1000 : getDefaultTtlMs();
+};
+
+const fetchKeySet = async (jwksUri) => {
+  const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+  const keys = new Map();
+  for (const jwk of response.data?.keys || []) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    try {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (error) {
+      // Key types Node cannot import are skipped
+    }
+  }
+
+  const now = Date.now();
+  const keySet = { keys, fetchedAt: now, expiresAt: now + getTtlMs(response.headers) };
+  keySets.set(jwksUri, keySet);
+  return keySet;
+};
+
+/**
+ * Public key for a key ID, from the cache or the provider's JWKS endpoint
+ * @param {String} jwksUri - JWKS URL
+ * @param {String} kid - Key ID from the token header
+ * @returns {Promise<KeyObject|null>}
+ */
+export const getSigningKey = async (jwksUri, kid) => {
+  let keySet = keySets.get(jwksUri);
+  const now = Date.now();
+
+  if (!keySet || keySet.expiresAt <= now) {
+    keySet = await fetchKeySet(jwksUri);
+  } else if (!keySet.keys.has(kid) && now - keySet.fetchedAt >= MIN_REFETCH_INTERVAL_MS) {
+    keySet = await fetchKeySet(jwksUri);
+  }
+
+  return keySet.keys.get(kid) || null;
+};
+
+/**
+ * JWKS URL of an issuer, from its OpenID Connect discovery document
+ * @param {String} issuer - Issuer URL
+ * @returns {Promise<String>}
+ */
+export const discoverJwksUri = async (issuer) => {
+  const cached = discoveries.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.jwksUri;
+  }
+
+  const response = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+  const { jwks_uri: jwksUri, issuer: discoveredIssuer } = response.data || {};
+  if (!jwksUri || discoveredIssuer !== issuer) {
+    throw new Error(`Invalid OpenID configuration for ${issuer}`);
+  }
+
+  discoveries.set(issuer, { jwksUri, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return jwksUri;
+};
+
+/**
+ * Verify a JWT signed with a key of a JWKS: signature, issuer, audience and expiry
+ * @param {String} token - Compact JWT
+ * @param {Object} options
+ * @param {String} options.jwksUri - JWKS URL
+ * @param {Array<String>} options.issuers - Accepted `iss` values
+ * @param {Array<String>} options.audiences - Accepted `aud` values (client IDs)
+ * @returns {Promise<Object>} Payload
+ * @throws {Error} If the token is invalid
+ */
+export const verifyJwt = async (token, { jwksUri, issuers, audiences }) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed token');
+  }
+
+  const { alg, kid } = decoded.header;
+  if (!ALLOWED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported token algorithm '${alg}'`);
+  }
+
+  const key = await getSigningKey(jwksUri, kid);
+  if (!key) {
+    throw new Error(`Unknown signing key '${kid}'`);
+  }
+
+  const payload = jwt.verify(token, key, {
+    algorithms: [alg],
+    issuer: issuers,
+    audience: audiences,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS,
+  });
+
+  // jsonwebtoken only checks exp when present; ID tokens must have one
+  if (typeof payload.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  return payload;
+};
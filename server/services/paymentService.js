@@ -0,0 +1,285 @@
+// services/paymentService.js
+import axios from 'axios';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import CreditPack, { DEFAULT_CREDIT_PACKS } from '../models/creditPackModel.js';
+import Purchase from '../models/purchaseModel.js';
+import PaymentEvent from '../models/paymentEventModel.js';
+import creditService from './creditService.js';
+import logger from '../utils/logger.js';
+import { verifySignature } from '../utils/webhookSignature.js';
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+const getAppUrl = () => process.env.APP_URL || process.env.CLIENT_URL || 'http://localhost:3001';
+
+/**
+ * Service for self-serve credit pack purchases through a Stripe-compatible payment provider
+ */
+export const paymentService = {
+  /**
+   * Create the default credit packs if they do not exist yet
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultPacks() {
+    for (const pack of DEFAULT_CREDIT_PACKS) {
+      await CreditPack.updateOne({ key: pack.key }, { $setOnInsert: pack }, { upsert: true });
+    }
+  },
+
+  /**
+   * Credit packs available for purchase
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPacks() {
+    return CreditPack.find({ active: true }).sort({ credits: 1 }).select('-__v');
+  },
+
+  /**
+   * Start a checkout for a credit pack. Without STRIPE_SECRET_KEY (outside production)
+   * a local session ID is issued so the flow can be completed with signed fixture events.
+   * @param {Object} user - Authenticated user
+   * @param {String} packKey - CreditPack key
+   * @returns {Promise<Object>} { success, purchaseId, sessionId, url } or { success: false, message, statusCode }
+   */
+  async createCheckoutSession(user, packKey) {
+    const pack = await CreditPack.findOne({ key: String(packKey || '').toLowerCase(), active: true });
+    if (!pack) {
+      return { success: false, message: `Unknown credit pack '${packKey}'`, statusCode: 400 };
+    }
+
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey && process.env.NODE_ENV === 'production') {
+      return { success: false, message: 'Payments are not configured', statusCode: 503 };
+    }
+
+    const purchase = await Purchase.create({
+      user: user._id,
+      pack: pack.key,
+      credits: pack.credits,
+      amountCents: pack.priceCents,
+      currency: pack.currency,
+    });
+
+    try {
+      let session;
+      if (secretKey) {
+        const form = new URLSearchParams({
+          mode: 'payment',
+          success_url: `${getAppUrl()}/credits?checkout=success&purchase=${purchase._id}`,
+          cancel_url: `${getAppUrl()}/credits?checkout=cancelled&purchase=${purchase._id}`,
+          client_reference_id: String(user._id),
+          customer_email: user.email,
+          'line_items[0][quantity]': '1',
+          'line_items[0][price_data][currency]': pack.currency,
+          'line_items[0][price_data][unit_amount]': String(pack.priceCents),
+          'line_items[0][price_data][product_data][name]': `${pack.name} (${pack.credits} credits)`,
+          'metadata[purchaseId]': String(purchase._id),
+          'payment_intent_data[metadata][purchaseId]': String(purchase._id),
+        });
+
+        const response = await axios.post(`${STRIPE_API_URL}/checkout/sessions`, form.toString(), {
+          headers: {
+            Authorization: `Bearer ${secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Idempotency-Key': String(purchase._id),
+          },
+          timeout: 15000,
+        });
+        session = { id: response.data.id, url: response.data.url };
+      } else {
+        session = { id: `cs_local_${crypto.randomUUID()}`, url: null };
+        logger.warn('STRIPE_SECRET_KEY not set, issued a local checkout session', { purchaseId: purchase._id, sessionId: session.id }, 'credits');
+      }
+
+      purchase.checkoutSessionId = session.id;
+      await purchase.save();
+
+      logger.credits(`Checkout started for pack '${pack.key}'`, { userId: user._id, purchaseId: purchase._id });
+      return { success: true, purchaseId: purchase._id, sessionId: session.id, url: session.url };
+    } catch (error) {
+      await Purchase.deleteOne({ _id: purchase._id });
+      logger.error('Error creating checkout session', { userId: user._id, pack: pack.key, error: error.response ? error.response.data : error.message }, 'credits');
+      return { success: false, message: 'Failed to create checkout session', statusCode: 502 };
+    }
+  },
+
+  /**
+   * Purchases of a user, newest first
+   * @param {String} userId - User ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPurchases(userId) {
+    return Purchase.find({ user: userId }).sort({ createdAt: -1 }).select('-__v');
+  },
+
+  /**
+   * Verify and apply a webhook delivery. Each event ID is applied at most once.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {String} signatureHeader - Stripe-Signature header
+   * @returns {Promise<Object>} { success, duplicate?, handled } or { success: false, message, statusCode }
+   */
+  async handleWebhook(rawBody, signatureHeader) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      return { success: false, message: 'Webhook secret not configured', statusCode: 503 };
+    }
+
+    const verification = verifySignature(rawBody, signatureHeader, secret);
+    if (!verification.success) {
+      logger.warn(`Rejected webhook: ${verification.message}`, null, 'credits');
+      return { success: false, message: verification.message, statusCode: 400 };
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return { success: false, message: 'Invalid JSON payload', statusCode: 400 };
+    }
+    if (!event || !event.id || !event.type || !event.data || !event.data.object) {
+      return { success: false, message: 'Malformed event', statusCode: 400 };
+    }
+
+    // Claim the event; a duplicate key means it was already applied
+    let record;
+    try {
+      record = await PaymentEvent.create({ eventId: event.id, type: event.type });
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.info(`Webhook event ${event.id} already processed`, null, 'credits');
+        return { success: true, duplicate: true, handled: false };
+      }
+      throw error;
+    }
+
+    try {
+      const result = await this.applyEvent(event);
+      if (result.purchase) {
+        await PaymentEvent.updateOne({ _id: record._id }, { $set: { purchase: result.purchase } });
+      }
+      return { success: true, handled: result.handled };
+    } catch (error) {
+      // Release the claim so the provider's retry is processed
+      await PaymentEvent.deleteOne({ _id: record._id });
+      logger.error(`Error applying webhook event ${event.id}`, { type: event.type, error }, 'credits');
+      return { success: false, message: 'Failed to process event', statusCode: 500 };
+    }
+  },
+
+  /**
+   * Apply a verified event to purchases and balances
+   * @param {Object} event - Parsed webhook event
+   * @returns {Promise<Object>} { handled, purchase? }
+   */
+  async applyEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        if (object.payment_status !== 'paid') {
+          return { handled: false };
+        }
+        return this.fulfillPurchase(object);
+      case 'charge.refunded':
+        return this.reversePurchase(object.payment_intent, object.amount ? object.amount_refunded / object.amount : 1, 'refunded');
+      case 'charge.dispute.created':
+        return this.reversePurchase(object.payment_intent, 1, 'disputed');
+      default:
+        return { handled: false };
+    }
+  },
+
+  /**
+   * Grant the credits of a paid checkout session
+   * @param {Object} session - Checkout session object from the event
+   * @returns {Promise<Object>} { handled, purchase? }
+   */
+  async fulfillPurchase(session) {
+    const purchaseId = session.metadata && session.metadata.purchaseId;
+    // A bad ID cannot match any purchase; it is recorded as unhandled instead of failing on every retry
+    if (purchaseId && !mongoose.isValidObjectId(purchaseId)) {
+      logger.warn('Paid checkout session with an invalid purchase ID', { sessionId: session.id, purchaseId }, 'credits');
+      return { handled: false };
+    }
+    const filter = purchaseId ? { _id: purchaseId } : { checkoutSessionId: session.id };
+
+    const update = { status: 'paid', paidAt: new Date() };
+    if (session.payment_intent) update.paymentIntentId = session.payment_intent;
+
+    // Only a pending purchase is fulfilled, so a redelivered session cannot grant twice
+    const purchase = await Purchase.findOneAndUpdate(
+      { ...filter, status: 'pending' },
+      { $set: update },
+      { new: true }
+    );
+    if (!purchase) {
+      logger.warn('Paid checkout session without a pending purchase', { sessionId: session.id, purchaseId }, 'credits');
+      return { handled: false };
+    }
+
+    const result = await creditService.addCredits(
+      purchase.user,
+      purchase.credits,
+      `Purchase of ${purchase.pack} credit pack`,
+      { purchased: true }
+    );
+    if (!result.success) {
+      await Purchase.updateOne({ _id: purchase._id }, { $set: { status: 'pending' } });
+      throw new Error(result.message);
+    }
+
+    await Purchase.updateOne({ _id: purchase._id }, { $set: { creditsGranted: purchase.credits } });
+    logger.credits(`Purchase ${purchase._id} paid, ${purchase.credits} credits granted`, { userId: purchase.user });
+    return { handled: true, purchase: purchase._id };
+  },
+
+  /**
+   * Take back the credits of a refunded or charged back payment
+   * @param {String} paymentIntentId - Payment intent of the purchase
+   * @param {Number} fraction - Share of the payment refunded (1 for full refunds and chargebacks)
+   * @param {String} status - 'refunded' or 'disputed'
+   * @returns {Promise<Object>} { handled, purchase? }
+   */
+  async reversePurchase(paymentIntentId, fraction, status) {
+    if (!paymentIntentId) {
+      return { handled: false };
+    }
+
+    const purchase = await Purchase.findOne({ paymentIntentId, status: { $in: ['paid', 'refunded', 'disputed'] } });
+    if (!purchase) {
+      logger.warn('Refund or dispute for an unknown payment', { paymentIntentId }, 'credits');
+      return { handled: false };
+    }
+
+    // Refund events carry the cumulative refunded amount, so only the difference is reversed
+    const target = Math.min(purchase.creditsGranted, Math.round(purchase.creditsGranted * Math.min(1, fraction)));
+    const amount = target - purchase.creditsReversed;
+
+    // Claim the amount before touching the balance so concurrent events cannot both reverse it
+    const claimed = await Purchase.findOneAndUpdate(
+      { _id: purchase._id, creditsReversed: purchase.creditsReversed },
+      { $set: { status, creditsReversed: Math.max(target, purchase.creditsReversed) } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Purchase changed while reversing credits');
+    }
+    if (amount <= 0) {
+      return { handled: true, purchase: purchase._id };
+    }
+
+    const reason = status === 'disputed' ? 'chargeback' : 'refund';
+    const result = await creditService.reverseCredits(purchase.user, amount, `Reversal of ${purchase.pack} credit pack (${reason})`);
+    if (!result.success) {
+      await Purchase.updateOne({ _id: purchase._id }, { $set: { creditsReversed: purchase.creditsReversed, status: purchase.status } });
+      throw new Error(result.message);
+    }
+
+    logger.credits(`Purchase ${purchase._id} ${status}, ${amount} credits reversed`, { userId: purchase.user });
+    return { handled: true, purchase: purchase._id };
+  }
+};
+
+export default paymentService;
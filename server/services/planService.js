@@ -0,0 +1,217 @@
+// services/planService.js
+import Plan, { DEFAULT_PLANS } from '../models/planModel.js';
+import User from '../models/userModel.js';
+import creditService from './creditService.js';
+import logger from '../utils/logger.js';
+import { addMonthsClamped } from '../utils/timezone.js';
+
+// Fields an admin may change on a plan
+const EDITABLE_PLAN_FIELDS = ['name', 'monthlyAllowance', 'rolloverLimit', 'creditCap', 'active'];
+
+const getRenewalInterval = () => {
+  const interval = parseInt(process.env.PLAN_RENEWAL_INTERVAL_MS, 10);
+  return isNaN(interval) ? 60 * 60 * 1000 : interval;
+};
+
+let renewalTimer = null;
+let renewalRunning = false;
+
+/**
+ * Service for subscription plans and monthly credit renewals
+ */
+export const planService = {
+  /**
+   * Create the default plans (free, pro, team) if they do not exist yet
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultPlans() {
+    for (const plan of DEFAULT_PLANS) {
+      await Plan.updateOne({ key: plan.key }, { $setOnInsert: plan }, { upsert: true });
+    }
+  },
+
+  /**
+   * List plans
+   * @param {Boolean} [includeInactive] - Also return plans that can no longer be assigned
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPlans(includeInactive = false) {
+    const filter = includeInactive ? {} : { active: true };
+    return Plan.find(filter).sort({ monthlyAllowance: 1 }).select('-__v');
+  },
+
+  /**
+   * Update a plan's allowance, rollover or cap. Takes effect at each user's next renewal.
+   * @param {String} key - Plan key
+   * @param {Object} fields - Fields to change
+   * @returns {Promise<Object>} { success, plan } or { success: false, message, statusCode }
+   */
+  async updatePlan(key, fields) {
+    const update = {};
+    EDITABLE_PLAN_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) update[field] = fields[field];
+    });
+
+    if (Object.keys(update).length === 0) {
+      return { success: false, message: `Provide at least one of: ${EDITABLE_PLAN_FIELDS.join(', ')}`, statusCode: 400 };
+    }
+
+    try {
+      const plan = await Plan.findOneAndUpdate({ key }, { $set: update }, { new: true, runValidators: true }).select('-__v');
+      if (!plan) {
+        return { success: false, message: 'Plan not found', statusCode: 404 };
+      }
+      logger.info(`Plan '${key}' updated`, update, 'credits');
+      return { success: true, plan };
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return { success: false, message: error.message, statusCode: 400 };
+      }
+      logger.error('Error updating plan', { key, error }, 'db');
+      return { success: false, message: 'Failed to update plan', statusCode: 500 };
+    }
+  },
+
+  /**
+   * First renewal strictly after an instant, on the monthly anniversary of the anchor
+   * @param {Date} anchor - Billing cycle anchor
+   * @param {Date} after - Instant the renewal must follow
+   * @returns {Date}
+   */
+  nextRenewalAfter(anchor, after) {
+    const monthsApart = (after.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (after.getUTCMonth() - anchor.getUTCMonth());
+    let months = Math.max(1, monthsApart);
+    while (addMonthsClamped(anchor, months) <= after) {
+      months += 1;
+    }
+    return addMonthsClamped(anchor, months);
+  },
+
+  /**
+   * Move a user to another plan. The cycle restarts today, the balance is kept
+   * and the new plan's allowance is granted right away (up to its cap).
+   * @param {String} userId - User ID
+   * @param {String} planKey - Key of the new plan
+   * @returns {Promise<Object>} { success, plan, granted, remainingCredits, currentPeriodEnd } or { success: false, message, statusCode }
+   */
+  async changePlan(userId, planKey) {
+    try {
+      const plan = await Plan.findOne({ key: planKey, active: true });
+      if (!plan) {
+        return { success: false, message: `Unknown or inactive plan '${planKey}'`, statusCode: 400 };
+      }
+
+      const user = await User.findById(userId).lean();
+      if (!user) {
+        return { success: false, message: 'User not found', statusCode: 404 };
+      }
+
+      const now = new Date();
+      const nextPeriodEnd = addMonthsClamped(now, 1);
+      const result = await creditService.renewAllowance(user, plan, {
+        nextPeriodEnd,
+        billingCycleAnchor: now,
+        expireUnused: false,
+        description: `Switched to ${plan.name} plan`,
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      logger.credits(`User ${userId} moved to plan '${plan.key}'`, { granted: result.granted });
+      return {
+        success: true,
+        plan: plan.key,
+        granted: result.granted,
+        remainingCredits: result.remainingCredits,
+        currentPeriodEnd: nextPeriodEnd
+      };
+    } catch (error) {
+      logger.error('Error changing plan', { userId, planKey, error }, 'credits');
+      return { success: false, message: 'Failed to change plan', statusCode: 500 };
+    }
+  },
+
+  /**
+   * Renew every user whose billing period has ended. Users created before plans existed
+   * get a billing cycle anchored on their sign-up date (without a renewal).
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { renewed, initialized, failed }
+   */
+  async renewDueUsers(now = new Date()) {
+    const counts = { renewed: 0, initialized: 0, failed: 0 };
+
+    // lean(): schema defaults must not fill in missing billing fields
+    const cursor = User.find({
+      $or: [
+        { currentPeriodEnd: { $lte: now } },
+        { currentPeriodEnd: { $exists: false } },
+      ]
+    }).select('plan billingCycleAnchor currentPeriodEnd apiCreditsUsed apiCreditsTotal apiCreditsPurchased createdAt').lean().cursor();
+
+    for await (const user of cursor) {
+      if (!user.currentPeriodEnd) {
+        const anchor = user.billingCycleAnchor || user.createdAt || now;
+        await User.updateOne(
+          { _id: user._id, currentPeriodEnd: { $exists: false } },
+          { $set: { plan: user.plan || 'free', billingCycleAnchor: anchor, currentPeriodEnd: this.nextRenewalAfter(anchor, now) } }
+        );
+        counts.initialized += 1;
+        continue;
+      }
+
+      const plan = await Plan.findByKey(user.plan || 'free');
+      if (!plan) {
+        logger.warn(`User ${user._id} is on unknown plan '${user.plan}', skipping renewal`, null, 'credits');
+        counts.failed += 1;
+        continue;
+      }
+
+      // Missed periods (e.g. server downtime) are renewed once
+      const nextPeriodEnd = this.nextRenewalAfter(user.billingCycleAnchor || user.currentPeriodEnd, now);
+      const result = await creditService.renewAllowance(user, plan, { nextPeriodEnd });
+
+      if (result.success) {
+        counts.renewed += 1;
+      } else {
+        // A request changed the balance meanwhile; the user stays due and is retried next run
+        logger.warn(`Renewal of user ${user._id} skipped: ${result.message}`, null, 'credits');
+        counts.failed += 1;
+      }
+    }
+
+    if (counts.renewed + counts.initialized + counts.failed > 0) {
+      logger.credits('Plan renewal run finished', counts);
+    }
+    return counts;
+  },
+
+  /**
+   * Run renewDueUsers() periodically (PLAN_RENEWAL_INTERVAL_MS, default hourly; 0 disables it)
+   */
+  startRenewalScheduler() {
+    const interval = getRenewalInterval();
+    if (interval <= 0 || renewalTimer) {
+      return;
+    }
+
+    const run = async () => {
+      if (renewalRunning) return;
+      renewalRunning = true;
+      try {
+        await this.renewDueUsers();
+      } catch (error) {
+        logger.error('Plan renewal run failed', { error }, 'credits');
+      } finally {
+        renewalRunning = false;
+      }
+    };
+
+    renewalTimer = setInterval(run, interval);
+    renewalTimer.unref();
+    run();
+  }
+};
+
+export default planService;
@@ -0,0 +1,178 @@
+// services/pricingService.js
+import mongoose from 'mongoose';
+import PricingRule, { DEFAULT_PRICING_RULES } from '../models/pricingRuleModel.js';
+import logger from '../utils/logger.js';
+
+// Cost per unit of endpoints without an active rule
+const DEFAULT_UNIT_COST = 1;
+
+// Fields an admin may set on a rule
+const EDITABLE_RULE_FIELDS = ['endpointPath', 'description', 'baseCost', 'unitCost', 'modelMultipliers', 'planDiscounts', 'exemptPlans', 'active'];
+
+// Round up, ignoring floating point noise (e.g. 3 x 1.1 = 3.3000000000000003)
+const roundUp = (value) => Math.ceil(Number(value.toFixed(6)));
+
+const pickFields = (fields) => {
+  const update = {};
+  EDITABLE_RULE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) update[field] = fields[field];
+  });
+  return update;
+};
+
+/**
+ * Service for database-backed credit pricing rules
+ */
+export const pricingService = {
+  /**
+   * Create the default rules (1 credit per image or request) if they do not exist yet
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultRules() {
+    for (const rule of DEFAULT_PRICING_RULES) {
+      await PricingRule.updateOne({ endpointPath: rule.endpointPath }, { $setOnInsert: rule }, { upsert: true });
+    }
+  },
+
+  /**
+   * List all pricing rules
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRules() {
+    return PricingRule.find({}).sort({ endpointPath: 1 }).select('-__v');
+  },
+
+  /**
+   * Create a pricing rule
+   * @param {Object} fields - Rule fields
+   * @returns {Promise<Object>} { success, rule } or { success: false, message, statusCode }
+   */
+  async createRule(fields) {
+    try {
+      const rule = await PricingRule.create(pickFields(fields));
+      logger.info(`Pricing rule for '${rule.endpointPath}' created`, null, 'credits');
+      return { success: true, rule };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, message: `A pricing rule for '${fields.endpointPath}' already exists`, statusCode: 409 };
+      }
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return { success: false, message: error.message, statusCode: 400 };
+      }
+      logger.error('Error creating pricing rule', { error }, 'db');
+      return { success: false, message: 'Failed to create pricing rule', statusCode: 500 };
+    }
+  },
+
+  /**
+   * Update a pricing rule. Applies to requests from then on; past transactions keep the price they were charged.
+   * @param {String} ruleId - Rule ID
+   * @param {Object} fields - Fields to change
+   * @returns {Promise<Object>} { success, rule } or { success: false, message, statusCode }
+   */
+  async updateRule(ruleId, fields) {
+    const update = pickFields(fields);
+
+    if (Object.keys(update).length === 0) {
+      return { success: false, message: `Provide at least one of: ${EDITABLE_RULE_FIELDS.join(', ')}`, statusCode: 400 };
+    }
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return { success: false, message: `The provided ID '${ruleId}' is not a valid MongoDB ObjectId`, statusCode: 400 };
+    }
+
+    try {
+      const rule = await PricingRule.findByIdAndUpdate(ruleId, { $set: update }, { new: true, runValidators: true }).select('-__v');
+      if (!rule) {
+        return { success: false, message: 'Pricing rule not found', statusCode: 404 };
+      }
+      logger.info(`Pricing rule for '${rule.endpointPath}' updated`, update, 'credits');
+      return { success: true, rule };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, message: `A pricing rule for '${update.endpointPath}' already exists`, statusCode: 409 };
+      }
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return { success: false, message: error.message, statusCode: 400 };
+      }
+      logger.error('Error updating pricing rule', { ruleId, error }, 'db');
+      return { success: false, message: 'Failed to update pricing rule', statusCode: 500 };
+    }
+  },
+
+  /**
+   * Delete a pricing rule; the endpoint falls back to 1 credit per unit
+   * @param {String} ruleId - Rule ID
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode }
+   */
+  async deleteRule(ruleId) {
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return { success: false, message: `The provided ID '${ruleId}' is not a valid MongoDB ObjectId`, statusCode: 400 };
+    }
+
+    const rule = await PricingRule.findByIdAndDelete(ruleId);
+    if (!rule) {
+      return { success: false, message: 'Pricing rule not found', statusCode: 404 };
+    }
+    logger.info(`Pricing rule for '${rule.endpointPath}' deleted`, null, 'credits');
+    return { success: true };
+  },
+
+  /**
+   * Multiplier of the most specific entry matching the provider and model
+   * @param {Object} rule - Pricing rule
+   * @param {String} [provider] - Vision provider name
+   * @param {String} [model] - Model name
+   * @returns {Number}
+   */
+  getModelMultiplier(rule, provider, model) {
+    const candidates = [provider && model ? `${provider}:${model}` : null, model, provider].filter(Boolean);
+    for (const candidate of candidates) {
+      const entry = (rule.modelMultipliers || []).find(item => item.match === candidate);
+      if (entry) return entry.multiplier;
+    }
+    return 1;
+  },
+
+  /**
+   * Price a request for a user
+   * @param {Object} user - User (plan is used for discounts and exemptions)
+   * @param {String} endpointPath - API endpoint path
+   * @param {Object} [options]
+   * @param {Number} [options.units] - Billable units (e.g. uploaded images)
+   * @param {String} [options.provider] - Vision provider name
+   * @param {String} [options.model] - Model name
+   * @returns {Promise<Object>} { cost, unitCost, pricing } where pricing is stored on the transaction
+   */
+  async price(user, endpointPath, { units = 1, provider, model } = {}) {
+    const plan = user.plan || 'free';
+    const rule = await PricingRule.findOne({ endpointPath, active: true }).lean();
+
+    if (!rule) {
+      const cost = DEFAULT_UNIT_COST * units;
+      return {
+        cost,
+        unitCost: DEFAULT_UNIT_COST,
+        pricing: { rule: null, cost, units, plan, provider, model, multiplier: 1, discountPercent: 0, exempt: false }
+      };
+    }
+
+    const exempt = (rule.exemptPlans || []).includes(plan);
+    const multiplier = this.getModelMultiplier(rule, provider, model);
+    const discount = (rule.planDiscounts || []).find(item => item.plan === plan);
+    const discountPercent = discount ? discount.percent : 0;
+    const factor = exempt ? 0 : multiplier * (100 - discountPercent) / 100;
+
+    // Base and unit costs are rounded separately so a failed unit can be refunded exactly
+    const baseCost = roundUp(rule.baseCost * factor);
+    const unitCost = roundUp(rule.unitCost * factor);
+    const cost = baseCost + unitCost * units;
+
+    return {
+      cost,
+      unitCost,
+      pricing: { rule: rule._id, cost, units, plan, provider, model, multiplier, discountPercent, exempt }
+    };
+  }
+};
+
+export default pricingService;
@@ -0,0 +1,76 @@
+// services/providers/fakeProvider.js
+
+// Canned response used when FAKE_VISION_RESPONSE is not set. Wrapped in a
+// markdown fence like real model output so the full parsing path is exercised.
+const DEFAULT_RESPONSE = `\`\`\`json
+{
+  "foodItems": [
+    {
+      "name": "Grilled Chicken Breast",
+      "calories": "Approx. 165 kcal",
+      "proteinGrams": "Approx. 31g",
+      "carbsGrams": "Approx. 0g",
+      "fatGrams": "Approx. 3.6g",
+      "fiberGrams": "0g",
+      "sugarGrams": "0g",
+      "sodiumMg": "Approx. 74mg",
+      "healthScore": 8,
+      "dietaryCategory": ["High-protein", "Gluten-free"],
+      "potentialAllergens": []
+    },
+    {
+      "name": "Steamed Broccoli",
+      "calories": "Approx. 50-60 kcal",
+      "proteinGrams": "Approx. 3.7g",
+      "carbsGrams": "Approx. 11.2g",
+      "fatGrams": "Approx. 0.6g",
+      "fiberGrams": "Approx. 5g",
+      "sugarGrams": "Approx. 2g",
+      "sodiumMg": "Approx. 60mg",
+      "healthScore": 10,
+      "dietaryCategory": ["Vegan", "Gluten-free"],
+      "potentialAllergens": []
+    }
+  ],
+  "totalCalories": "Approx. 220 kcal",
+  "totalProteinGrams": "Approx. 34.7g",
+  "totalCarbsGrams": "Approx. 11.2g",
+  "totalFatGrams": "Approx. 4.2g",
+  "totalFiberGrams": "Approx. 5g",
+  "totalSugarGrams": "Approx. 2g",
+  "totalSodiumMg": "Approx. 134mg",
+  "overallHealthScore": 9,
+  "mealType": "Dinner",
+  "caloriesDensity": "Low density (1.1 kcal/g)",
+  "portionRecommendation": "One serving (approximately 200g) is recommended for an adult",
+  "description": "A lean and healthy meal consisting of grilled chicken breast and steamed broccoli, rich in protein and fiber."
+}
+\`\`\``;
+
+/**
+ * Deterministic offline provider for tests and CI.
+ * Always returns FAKE_VISION_RESPONSE (or the canned meal above) without any network call.
+ */
+const fakeProvider = {
+  name: 'fake',
+  label: 'Fake provider',
+  defaultModel: 'fake-vision-1',
+
+  get allowedModels() {
+    return [this.defaultModel];
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Return the configured canned response
+   * @returns {Promise<String>} Raw text, as a real model would return it
+   */
+  async generate() {
+    return process.env.FAKE_VISION_RESPONSE || DEFAULT_RESPONSE;
+  }
+};
+
+export default fakeProvider;
@@ -0,0 +1,71 @@
+// services/providers/geminiProvider.js
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+import { parseAllowedModels } from './modelAllowlist.js';
+
+const safetySettings = [
+  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+];
+
+// One GenerativeModel per model name, created on first use
+const models = new Map();
+
+const getModel = (modelName) => {
+  if (!models.has(modelName)) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    models.set(modelName, genAI.getGenerativeModel({ model: modelName, safetySettings }));
+  }
+  return models.get(modelName);
+};
+
+function fileToGenerativePart(buffer, mimeType) {
+  return { inlineData: { data: buffer.toString("base64"), mimeType } };
+}
+
+/**
+ * Google Gemini vision provider
+ */
+const geminiProvider = {
+  name: 'gemini',
+  label: 'Gemini',
+
+  get defaultModel() {
+    return process.env.GEMINI_MODEL || 'gemini-1.5-flash-latest';
+  },
+
+  get allowedModels() {
+    return parseAllowedModels(process.env.GEMINI_ALLOWED_MODELS, this.defaultModel);
+  },
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  /**
+   * Send a prompt and images to Gemini
+   * @param {Object} options
+   * @param {String} options.prompt - Text prompt
+   * @param {Array<{buffer: Buffer, mimeType: String}>} options.images - Images to attach
+   * @param {String} [options.model] - Model name override
+   * @returns {Promise<String>} Raw text returned by the model
+   */
+  async generate({ prompt, images = [], model }) {
+    const parts = [prompt, ...images.map((image) => fileToGenerativePart(image.buffer, image.mimeType))];
+
+    try {
+      const result = await getModel(model || this.defaultModel).generateContent(parts);
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      // Surface safety blocks in a provider-neutral way
+      if (error.response && error.response.promptFeedback && error.response.promptFeedback.blockReason) {
+        error.blockReason = error.response.promptFeedback.blockReason;
+      }
+      throw error;
+    }
+  }
+};
+
+export default geminiProvider;
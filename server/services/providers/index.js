@@ -0,0 +1,95 @@
+// services/providers/index.js
+import geminiProvider from './geminiProvider.js';
+import openaiProvider from './openaiProvider.js';
+import ollamaProvider from './ollamaProvider.js';
+import fakeProvider from './fakeProvider.js';
+
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openaiProvider.name]: openaiProvider,
+  [ollamaProvider.name]: ollamaProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * Registry of vision-model providers. Every provider exposes
+ * `name`, `label`, `defaultModel`, `allowedModels`, `isConfigured()` and
+ * `generate({ prompt, images, model })` resolving to the raw model text.
+ */
+export const visionProviders = {
+  /**
+   * Name of the provider used when a request does not pick one
+   * @returns {String}
+   */
+  getDefaultName() {
+    return (process.env.VISION_PROVIDER || geminiProvider.name).toLowerCase();
+  },
+
+  /**
+   * List the names of all registered providers
+   * @returns {Array<String>}
+   */
+  list() {
+    return Object.keys(providers);
+  },
+
+  /**
+   * List the names of the providers configured on this server
+   * @returns {Array<String>}
+   */
+  listConfigured() {
+    return Object.keys(providers).filter(name => providers[name].isConfigured()
+      && !(name === fakeProvider.name && name !== this.getDefaultName() && process.env.NODE_ENV === 'production'));
+  },
+
+  /**
+   * Resolve the provider and model for a request
+   * @param {String} [requestedName] - Provider requested by the client, falls back to VISION_PROVIDER
+   * @param {String} [requestedModel] - Model requested by the client, falls back to the provider's default
+   * @returns {Object} { success, provider, model } or { success: false, message, statusCode }
+   */
+  resolve(requestedName, requestedModel) {
+    const defaultName = this.getDefaultName();
+    const name = (requestedName || defaultName).toLowerCase();
+    const provider = providers[name];
+
+    if (!provider) {
+      return {
+        success: false,
+        message: `Unknown vision provider '${name}'. Available providers: ${this.listConfigured().join(', ')}`,
+        statusCode: 400
+      };
+    }
+
+    // The fake provider must never be picked per request in production
+    if (name === fakeProvider.name && name !== defaultName && process.env.NODE_ENV === 'production') {
+      return {
+        success: false,
+        message: `Vision provider '${name}' is not available`,
+        statusCode: 400
+      };
+    }
+
+    if (!provider.isConfigured()) {
+      return {
+        success: false,
+        message: `Vision provider '${name}' is not configured on this server`,
+        statusCode: 503
+      };
+    }
+
+    // Only models the operator allowed for this provider, since they are billed to the server's account
+    const model = requestedModel || provider.defaultModel;
+    if (typeof model !== 'string' || !provider.allowedModels.includes(model)) {
+      return {
+        success: false,
+        message: `Model '${model}' is not available for vision provider '${name}'. Available models: ${provider.allowedModels.join(', ')}`,
+        statusCode: 400
+      };
+    }
+
+    return { success: true, provider, model };
+  }
+};
+
+export default visionProviders;
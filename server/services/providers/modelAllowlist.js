@@ -0,0 +1,15 @@
+// services/providers/modelAllowlist.js
+
+/**
+ * Models a provider accepts per request: its default model plus the
+ * comma-separated names in the given environment variable
+ * @param {String} envValue - e.g. process.env.GEMINI_ALLOWED_MODELS
+ * @param {String} defaultModel - Provider's configured default model
+ * @returns {Array<String>}
+ */
+export const parseAllowedModels = (envValue, defaultModel) => {
+  const models = (envValue || '').split(',').map(model => model.trim()).filter(Boolean);
+  return [...new Set([defaultModel, ...models])];
+};
+
+export default parseAllowedModels;
@@ -0,0 +1,56 @@
+// services/providers/ollamaProvider.js
+import axios from 'axios';
+import { parseAllowedModels } from './modelAllowlist.js';
+
+/**
+ * Local Ollama-style HTTP provider (POST {baseUrl}/api/generate)
+ */
+const ollamaProvider = {
+  name: 'ollama',
+  label: 'Ollama',
+
+  get defaultModel() {
+    return process.env.OLLAMA_MODEL || 'llava';
+  },
+
+  get allowedModels() {
+    return parseAllowedModels(process.env.OLLAMA_ALLOWED_MODELS, this.defaultModel);
+  },
+
+  get baseUrl() {
+    return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+  },
+
+  isConfigured() {
+    // Only offered when an instance is set up explicitly
+    return !!process.env.OLLAMA_BASE_URL;
+  },
+
+  /**
+   * Send a prompt and images to an Ollama-compatible endpoint
+   * @param {Object} options
+   * @param {String} options.prompt - Text prompt
+   * @param {Array<{buffer: Buffer, mimeType: String}>} options.images - Images to attach
+   * @param {String} [options.model] - Model name override
+   * @returns {Promise<String>} Raw text returned by the model
+   */
+  async generate({ prompt, images = [], model }) {
+    const response = await axios.post(`${this.baseUrl}/api/generate`, {
+      model: model || this.defaultModel,
+      prompt,
+      images: images.map((image) => image.buffer.toString('base64')),
+      format: 'json',
+      stream: false,
+    }, {
+      timeout: Number(process.env.VISION_REQUEST_TIMEOUT_MS) || 120000,
+    });
+
+    if (typeof response.data.response !== 'string') {
+      throw new Error('Empty response from Ollama provider');
+    }
+
+    return response.data.response;
+  }
+};
+
+export default ollamaProvider;
@@ -0,0 +1,76 @@
+// services/providers/openaiProvider.js
+import axios from 'axios';
+import { parseAllowedModels } from './modelAllowlist.js';
+
+/**
+ * OpenAI-compatible chat completions provider.
+ * Works with any server exposing POST {baseUrl}/chat/completions with image_url content parts.
+ */
+const openaiProvider = {
+  name: 'openai',
+  label: 'OpenAI-compatible model',
+
+  get defaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  },
+
+  get allowedModels() {
+    return parseAllowedModels(process.env.OPENAI_ALLOWED_MODELS, this.defaultModel);
+  },
+
+  get baseUrl() {
+    return (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  },
+
+  isConfigured() {
+    // Self-hosted compatible servers often run without a key
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  /**
+   * Send a prompt and images to a chat completions endpoint
+   * @param {Object} options
+   * @param {String} options.prompt - Text prompt
+   * @param {Array<{buffer: Buffer, mimeType: String}>} options.images - Images to attach
+   * @param {String} [options.model] - Model name override
+   * @returns {Promise<String>} Raw text returned by the model
+   */
+  async generate({ prompt, images = [], model }) {
+    const content = [
+      { type: 'text', text: prompt },
+      ...images.map((image) => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}` }
+      }))
+    ];
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: model || this.defaultModel,
+      messages: [{ role: 'user', content }],
+      response_format: { type: 'json_object' },
+    }, {
+      headers,
+      timeout: Number(process.env.VISION_REQUEST_TIMEOUT_MS) || 60000,
+    });
+
+    const choice = response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('Empty response from OpenAI-compatible provider');
+    }
+
+    if (choice.finish_reason === 'content_filter') {
+      const error = new Error('Response blocked by content filter');
+      error.blockReason = 'content_filter';
+      throw error;
+    }
+
+    return choice.message.content || '';
+  }
+};
+
+export default openaiProvider;
@@ -0,0 +1,196 @@
+// services/rateLimit/index.js
+import memoryStore from './memoryStore.js';
+import redisStore from './redisStore.js';
+import logger from '../../utils/logger.js';
+
+const stores = {
+  [memoryStore.name]: memoryStore,
+  [redisStore.name]: redisStore,
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as "30s", "15m" or "1h"
+ * @param {String} value
+ * @returns {Number|null} Milliseconds, or null if invalid
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smh])$/.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+};
+
+// Sliding-window limits: "<hits>/<window>", overridable by the env variable of each policy
+const POLICIES = {
+  login: { env: 'RATE_LIMIT_LOGIN', default: '20/15m' }, // Per IP: login, two-factor step, sign-up, iOS sign-in
+  accountEmail: { env: 'RATE_LIMIT_ACCOUNT_EMAIL', default: '10/15m' }, // Per IP: password reset and verification emails
+  apiKey: { env: 'RATE_LIMIT_API_KEY', default: '60/1m' }, // Per API key: every request
+};
+
+const parsePolicy = (value) => {
+  const [limit, window] = String(value).split('/');
+  const parsedLimit = parseInt(limit, 10);
+  const windowMs = parseDuration(window);
+  return parsedLimit > 0 && windowMs ? { limit: parsedLimit, windowMs } : null;
+};
+
+// Failed password logins per account before a lockout, within this window
+const getMaxLoginFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const getLoginFailureWindowMs = () => parseDuration(process.env.LOGIN_FAILURE_WINDOW) || 15 * 60 * 1000;
+// Lockouts double in length with each one in a row, from 1 minute up to 1 hour by default
+const getLockoutBaseMs = () => parseDuration(process.env.LOGIN_LOCKOUT_BASE) || 60 * 1000;
+const getLockoutMaxMs = () => parseDuration(process.env.LOGIN_LOCKOUT_MAX) || 60 * 60 * 1000;
+// How long the lockout level is remembered after the last lockout
+const LOCKOUT_LEVEL_TTL_MS = 24 * 60 * 60 * 1000;
+
+const loginKeys = (account) => ({
+  failures: `login-failures:${account}`,
+  lock: `login-lock:${account}`,
+  level: `login-lock-level:${account}`,
+});
+
+/**
+ * Rate limiting and login lockout. State lives in the store chosen with
+ * RATE_LIMIT_STORE (`memory` by default, or `redis` with REDIS_URL). Store errors
+ * are logged and the request is let through, so an unreachable Redis does not
+ * take logins down.
+ */
+export const rateLimiter = {
+  /**
+   * Whether limits are applied (RATE_LIMIT_ENABLED=false turns them off)
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return process.env.RATE_LIMIT_ENABLED !== 'false';
+  },
+
+  /**
+   * Store configured for this server
+   * @returns {Object} Rate limit store
+   */
+  getStore() {
+    const name = (process.env.RATE_LIMIT_STORE || memoryStore.name).toLowerCase();
+    const store = stores[name];
+    if (!store) {
+      throw new Error(`Unknown rate limit store '${name}'. Available stores: ${Object.keys(stores).join(', ')}`);
+    }
+    return store;
+  },
+
+  /**
+   * Limit and window of a policy
+   * @param {String} name - Key of POLICIES
+   * @returns {Object} { limit, windowMs }
+   */
+  getPolicy(name) {
+    const policy = POLICIES[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy '${name}'`);
+    }
+    const configured = process.env[policy.env];
+    const parsed = configured ? parsePolicy(configured) : null;
+    if (configured && !parsed) {
+      logger.warn(`Invalid ${policy.env} '${configured}', using ${policy.default}`);
+    }
+    return parsed || parsePolicy(policy.default);
+  },
+
+  /**
+   * Count a request against a policy
+   * @param {String} name - Policy name
+   * @param {String} identifier - IP address, API key ID, ...
+   * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterMs }
+   */
+  async consume(name, identifier) {
+    const { limit, windowMs } = this.getPolicy(name);
+    if (!this.isEnabled()) {
+      return { allowed: true, limit, remaining: limit, retryAfterMs: 0 };
+    }
+
+    try {
+      const result = await this.getStore().hit(`${name}:${identifier}`, windowMs, limit);
+      return {
+        allowed: result.allowed,
+        limit,
+        remaining: Math.max(0, limit - result.count),
+        retryAfterMs: result.retryAfterMs,
+      };
+    } catch (error) {
+      logger.error(`Rate limit store error (${name})`, { error: error.message });
+      return { allowed: true, limit, remaining: limit, retryAfterMs: 0 };
+    }
+  },
+
+  /**
+   * Whether password logins to an account are locked after failed attempts
+   * @param {String} account - Normalized email
+   * @returns {Promise<Object>} { locked, retryAfterMs }
+   */
+  async checkLoginLock(account) {
+    if (!this.isEnabled()) {
+      return { locked: false, retryAfterMs: 0 };
+    }
+
+    try {
+      const lockedUntil = parseInt(await this.getStore().get(loginKeys(account).lock), 10);
+      const retryAfterMs = lockedUntil ? lockedUntil - Date.now() : 0;
+      return { locked: retryAfterMs > 0, retryAfterMs: Math.max(0, retryAfterMs) };
+    } catch (error) {
+      logger.error('Rate limit store error (login lock)', { error: error.message });
+      return { locked: false, retryAfterMs: 0 };
+    }
+  },
+
+  /**
+   * Record a failed password login. Too many failures lock the account for a
+   * while, twice as long as the previous lockout.
+   * @param {String} account - Normalized email
+   * @returns {Promise<Object>} { locked, retryAfterMs }
+   */
+  async recordLoginFailure(account) {
+    if (!this.isEnabled()) {
+      return { locked: false, retryAfterMs: 0 };
+    }
+
+    const store = this.getStore();
+    const keys = loginKeys(account);
+    try {
+      const result = await store.hit(keys.failures, getLoginFailureWindowMs(), getMaxLoginFailures());
+      if (result.allowed && result.count < getMaxLoginFailures()) {
+        return { locked: false, retryAfterMs: 0 };
+      }
+
+      const level = (parseInt(await store.get(keys.level), 10) || 0) + 1;
+      const lockMs = Math.min(getLockoutBaseMs() * 2 ** (level - 1), getLockoutMaxMs());
+      await store.set(keys.lock, Date.now() + lockMs, lockMs);
+      await store.set(keys.level, level, LOCKOUT_LEVEL_TTL_MS);
+      await store.delete(keys.failures);
+
+      logger.warn(`Login locked for ${account} for ${Math.round(lockMs / 1000)}s after failed attempts`, { level }, 'auth');
+      return { locked: true, retryAfterMs: lockMs };
+    } catch (error) {
+      logger.error('Rate limit store error (login failure)', { error: error.message });
+      return { locked: false, retryAfterMs: 0 };
+    }
+  },
+
+  /**
+   * Forget failed logins and lockouts after a successful login
+   * @param {String} account - Normalized email
+   * @returns {Promise<void>}
+   */
+  async clearLoginFailures(account) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const keys = loginKeys(account);
+    try {
+      await this.getStore().delete(keys.failures, keys.lock, keys.level);
+    } catch (error) {
+      logger.error('Rate limit store error (login reset)', { error: error.message });
+    }
+  }
+};
+
+export default rateLimiter;
@@ -0,0 +1,103 @@
+// services/rateLimit/memoryStore.js
+
+// Timestamps of the hits in each sliding window, and plain values with an expiry
+const windows = new Map();
+const values = new Map();
+
+let sweeper = null;
+
+// Drop expired entries once a minute so idle keys do not pile up
+const startSweeper = () => {
+  if (sweeper) return;
+  sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.expiresAt <= now) windows.delete(key);
+    }
+    for (const [key, entry] of values) {
+      if (entry.expiresAt <= now) values.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+};
+
+/**
+ * Rate limit store in the memory of this process. Limits are not shared between
+ * server instances and reset on restart; use the Redis store for that.
+ */
+const memoryStore = {
+  name: 'memory',
+
+  /**
+   * Count a hit in a sliding window, unless the limit is already reached
+   * @param {String} key - Window key
+   * @param {Number} windowMs - Window length
+   * @param {Number} limit - Hits allowed per window
+   * @returns {Promise<Object>} { allowed, count, retryAfterMs }
+   */
+  async hit(key, windowMs, limit) {
+    startSweeper();
+    const now = Date.now();
+    const entry = windows.get(key) || { hits: [], expiresAt: 0 };
+    entry.hits = entry.hits.filter(timestamp => timestamp > now - windowMs);
+
+    if (entry.hits.length >= limit) {
+      windows.set(key, entry);
+      return { allowed: false, count: entry.hits.length, retryAfterMs: entry.hits[0] + windowMs - now };
+    }
+
+    entry.hits.push(now);
+    entry.expiresAt = now + windowMs;
+    windows.set(key, entry);
+    return { allowed: true, count: entry.hits.length, retryAfterMs: 0 };
+  },
+
+  /**
+   * Read a value
+   * @param {String} key
+   * @returns {Promise<String|null>}
+   */
+  async get(key) {
+    const entry = values.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry.value;
+  },
+
+  /**
+   * Store a value until it expires
+   * @param {String} key
+   * @param {String} value
+   * @param {Number} ttlMs - Lifetime
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    startSweeper();
+    values.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+  },
+
+  /**
+   * Remove windows or values
+   * @param {...String} keys
+   * @returns {Promise<void>}
+   */
+  async delete(...keys) {
+    for (const key of keys) {
+      windows.delete(key);
+      values.delete(key);
+    }
+  },
+
+  /**
+   * Stop the cleanup timer (scripts)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+};
+
+export default memoryStore;
@@ -0,0 +1,109 @@
+// services/rateLimit/redisStore.js
+import crypto from 'crypto';
+import Redis from 'ioredis';
+import logger from '../../utils/logger.js';
+
+let client = null;
+
+// Created on first use so the memory store works without any Redis settings
+const getClient = () => {
+  if (!client) {
+    if (!process.env.REDIS_URL) {
+      throw new Error('REDIS_URL is not set');
+    }
+    client = new Redis(process.env.REDIS_URL, {
+      keyPrefix: process.env.RATE_LIMIT_REDIS_PREFIX || 'ratelimit:',
+      maxRetriesPerRequest: 1,
+    });
+    // Commands fail while the connection is down (the limiter then lets requests through)
+    client.on('error', (error) => {
+      logger.warn(`Rate limit Redis connection error: ${error.message}`);
+    });
+  }
+  return client;
+};
+
+// Sliding log in a sorted set scored by time: trim the window, then add the hit if there is room.
+// Returns { allowed (1/0), count, retryAfterMs }.
+const HIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  redis.call('PEXPIRE', KEYS[1], window)
+  return { 1, count + 1, 0 }
+end
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return { 0, count, tonumber(oldest[2]) + window - now }
+`;
+
+/**
+ * Rate limit store on Redis or a Redis-compatible server (Valkey, KeyDB, ...) at REDIS_URL,
+ * shared by every server instance
+ */
+const redisStore = {
+  name: 'redis',
+
+  /**
+   * Count a hit in a sliding window, unless the limit is already reached
+   * @param {String} key - Window key
+   * @param {Number} windowMs - Window length
+   * @param {Number} limit - Hits allowed per window
+   * @returns {Promise<Object>} { allowed, count, retryAfterMs }
+   */
+  async hit(key, windowMs, limit) {
+    // The random suffix keeps hits in the same millisecond apart
+    const member = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const [allowed, count, retryAfterMs] = await getClient().eval(
+      HIT_SCRIPT, 1, key, Date.now(), windowMs, limit, member
+    );
+    return { allowed: allowed === 1, count, retryAfterMs: Math.max(0, retryAfterMs) };
+  },
+
+  /**
+   * Read a value
+   * @param {String} key
+   * @returns {Promise<String|null>}
+   */
+  async get(key) {
+    return getClient().get(key);
+  },
+
+  /**
+   * Store a value until it expires
+   * @param {String} key
+   * @param {String} value
+   * @param {Number} ttlMs - Lifetime
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    await getClient().set(key, String(value), 'PX', Math.max(1, Math.ceil(ttlMs)));
+  },
+
+  /**
+   * Remove windows or values
+   * @param {...String} keys
+   * @returns {Promise<void>}
+   */
+  async delete(...keys) {
+    if (keys.length > 0) {
+      await getClient().del(...keys);
+    }
+  },
+
+  /**
+   * Close the connection (scripts)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (client) {
+      await client.quit();
+      client = null;
+    }
+  }
+};
+
+export default redisStore;
@@ -0,0 +1,166 @@
+// services/sessionService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/refreshTokenModel.js';
+import User from '../models/userModel.js';
+import logger from '../utils/logger.js';
+
+const getAccessTokenExpiry = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Service for JWT login sessions: short-lived access tokens and rotating refresh tokens
+ */
+export const sessionService = {
+  /**
+   * Sign an access token. `tv` is the user's tokenVersion; protect() rejects tokens
+   * of an older version, so bumping it ends every session at once.
+   * @param {Object} user - User
+   * @returns {Object} { token, expiresIn } (expiresIn in seconds)
+   */
+  generateAccessToken(user) {
+    const token = jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+      expiresIn: getAccessTokenExpiry(),
+    });
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+  },
+
+  /**
+   * Start a session after a successful login
+   * @param {Object} user - User
+   * @param {Object} [req] - Express request (IP and user agent are recorded)
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  async createSession(user, req) {
+    const { token, expiresIn } = this.generateAccessToken(user);
+    const refreshToken = await this.issueRefreshToken(user, crypto.randomUUID(), req);
+    return { token, refreshToken: refreshToken.value, expiresIn };
+  },
+
+  /**
+   * Store a new refresh token
+   * @param {Object} user - User
+   * @param {String} family - Rotation family
+   * @param {Object} [req] - Express request
+   * @returns {Promise<Object>} { value, document }
+   */
+  async issueRefreshToken(user, family, req) {
+    const value = crypto.randomBytes(32).toString('base64url');
+    const document = await RefreshToken.create({
+      user: user._id,
+      tokenHash: hashToken(value),
+      family,
+      tokenVersion: user.tokenVersion || 0,
+      expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+      createdByIp: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+    });
+    return { value, document };
+  },
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * The presented token can only be used once.
+   * @param {String} refreshToken - Refresh token from the client
+   * @param {Object} [req] - Express request
+   * @returns {Promise<Object>} { success, token, refreshToken, expiresIn, user } or { success: false, message, statusCode }
+   */
+  async refresh(refreshToken, req) {
+    const invalid = { success: false, message: 'Invalid or expired refresh token', statusCode: 401 };
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return invalid;
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    // Claim the token so two concurrent refreshes cannot both rotate it
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!current) {
+      const reused = await RefreshToken.findOne({ tokenHash, replacedBy: { $exists: true } });
+      if (reused) {
+        // A rotated token came back: someone else holds a copy of the session
+        await this.revokeFamily(reused.family);
+        logger.warn(`Refresh token reuse detected for user ${reused.user}, session revoked`, { family: reused.family }, 'auth');
+      }
+      return invalid;
+    }
+
+    const user = await User.findById(current.user).select('-password');
+    if (!user || user.isActive === false || (user.tokenVersion || 0) !== current.tokenVersion) {
+      return invalid;
+    }
+
+    const next = await this.issueRefreshToken(user, current.family, req);
+    await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: next.document._id } });
+
+    const { token, expiresIn } = this.generateAccessToken(user);
+    return { success: true, token, refreshToken: next.value, expiresIn, user };
+  },
+
+  /**
+   * Log out one session: revoke the refresh token and every token rotated from the same login
+   * @param {String} refreshToken - Refresh token from the client
+   * @param {String} [userId] - When set, only a token of this user is revoked
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode }
+   */
+  async revokeSession(refreshToken, userId) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return { success: false, message: 'Please provide a refresh token', statusCode: 400 };
+    }
+
+    const filter = { tokenHash: hashToken(refreshToken) };
+    if (userId) filter.user = userId;
+
+    const token = await RefreshToken.findOne(filter);
+    if (token) {
+      await this.revokeFamily(token.family);
+    }
+    // Unknown tokens are not reported, so the endpoint cannot be used to probe for valid ones
+    return { success: true };
+  },
+
+  /**
+   * Revoke every token of a rotation family
+   * @param {String} family - Rotation family
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(family) {
+    await RefreshToken.updateMany({ family, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date() } });
+  },
+
+  /**
+   * End all sessions of a user: bump tokenVersion (access tokens) and revoke refresh tokens
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { success, tokenVersion } or { success: false, message, statusCode }
+   */
+  async revokeAllSessions(userId) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    await RefreshToken.updateMany({ user: userId, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date() } });
+    logger.auth(`All sessions of user ${userId} revoked`);
+    return { success: true, tokenVersion: user.tokenVersion };
+  },
+
+  /**
+   * Delete all refresh tokens of a user (account removal)
+   * @param {String} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserSessions(userId) {
+    await RefreshToken.deleteMany({ user: userId });
+  }
+};
+
+export default sessionService;
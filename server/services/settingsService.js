@@ -0,0 +1,41 @@
+// services/settingsService.js
+import Setting, { DEFAULT_SETTINGS } from '../models/settingModel.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Service for application-wide settings stored in the database
+ */
+export const settingsService = {
+  /**
+   * Current value of a setting
+   * @param {String} key - Key of DEFAULT_SETTINGS
+   * @returns {Promise<*>} Stored value, or the default
+   */
+  async get(key) {
+    const setting = await Setting.findOne({ key }).lean();
+    return setting ? setting.value : DEFAULT_SETTINGS[key];
+  },
+
+  /**
+   * Change a setting
+   * @param {String} key - Key of DEFAULT_SETTINGS
+   * @param {*} value - New value
+   * @param {String} [userId] - Admin making the change
+   * @returns {Promise<*>} The new value
+   */
+  async set(key, value, userId) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+      throw new Error(`Unknown setting '${key}'`);
+    }
+
+    await Setting.findOneAndUpdate(
+      { key },
+      { $set: { value, updatedBy: userId } },
+      { upsert: true }
+    );
+    logger.info(`Setting ${key} changed to ${JSON.stringify(value)}`, { userId });
+    return value;
+  }
+};
+
+export default settingsService;
@@ -0,0 +1,317 @@
+// services/twoFactorService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/userModel.js';
+import settingsService from './settingsService.js';
+import logger from '../utils/logger.js';
+import { generateSecret, verifyCode, buildOtpauthUrl } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes in a row before verification is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_DURATION_MS = 15 * 60 * 1000;
+// Lifetime of the token between the password step and the code step of a login
+const CHALLENGE_EXPIRY = '5m';
+const CHALLENGE_PURPOSE = 'two-factor';
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Calorie API';
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// Recovery codes look like "1a2b3-c4d5e"
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+/**
+ * Service for TOTP two-factor authentication: enrollment, recovery codes and the
+ * second step of logins
+ */
+export const twoFactorService = {
+  /**
+   * Two-factor state of a user
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { success, enabled, enabledAt, recoveryCodesRemaining, required } or { success: false, message, statusCode }
+   */
+  async getStatus(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    const requiredForAdmins = await settingsService.get('requireAdminTwoFactor');
+    return {
+      success: true,
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0,
+      required: Boolean(user.isAdmin && requiredForAdmins),
+    };
+  },
+
+  /**
+   * Start enrollment: create a secret to scan into an authenticator app.
+   * Two-factor is only turned on once confirmSetup() gets a valid code.
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { success, secret, otpauthUrl } or { success: false, message, statusCode }
+   */
+  async startSetup(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+    if (user.twoFactor?.enabled) {
+      return { success: false, message: 'Two-factor authentication is already enabled', statusCode: 400 };
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      success: true,
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, account: user.email, issuer: getIssuer() }),
+    };
+  },
+
+  /**
+   * Finish enrollment with a code from the app. Returns the recovery codes, which are only shown here.
+   * @param {String} userId - User ID
+   * @param {String} code - Current code
+   * @returns {Promise<Object>} { success, recoveryCodes } or { success: false, message, statusCode }
+   */
+  async confirmSetup(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+    if (user.twoFactor?.enabled) {
+      return { success: false, message: 'Two-factor authentication is already enabled', statusCode: 400 };
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return { success: false, message: 'Start two-factor setup first', statusCode: 400 };
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return { success: false, message: 'Invalid authentication code', statusCode: 400 };
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = undefined;
+    await user.save();
+
+    logger.auth(`Two-factor authentication enabled for user ${user._id}`);
+    return { success: true, recoveryCodes };
+  },
+
+  /**
+   * Check a TOTP code or a recovery code of a user with two-factor enabled.
+   * Codes are single-use; after MAX_FAILED_ATTEMPTS wrong codes verification is locked for a while.
+   * @param {String} userId - User ID
+   * @param {Object} factor
+   * @param {String} [factor.code] - Code from the authenticator app
+   * @param {String} [factor.recoveryCode] - Unused recovery code
+   * @returns {Promise<Object>} { success, method: 'totp'|'recovery-code' } or { success: false, message, statusCode }
+   */
+  async verify(userId, { code, recoveryCode } = {}) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return { success: false, message: 'Two-factor authentication is not enabled', statusCode: 400 };
+    }
+    if (!code && !recoveryCode) {
+      return { success: false, message: 'Please provide an authentication code or a recovery code', statusCode: 400 };
+    }
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      const minutes = Math.ceil((user.twoFactor.lockedUntil - new Date()) / 60000);
+      return { success: false, message: `Too many invalid codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, statusCode: 429 };
+    }
+
+    let method = null;
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code);
+      // Claim the step so the same code cannot be used twice
+      if (step !== null) {
+        const claimed = await User.updateOne(
+          { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+          { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        if (claimed.modifiedCount === 1) method = 'totp';
+      }
+    } else {
+      const hash = hashRecoveryCode(recoveryCode);
+      const claimed = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      if (claimed.modifiedCount === 1) method = 'recovery-code';
+    }
+
+    if (!method) {
+      const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { 'twoFactor.failedAttempts': 1 } },
+        { new: true }
+      );
+      if (updated && updated.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + LOCK_DURATION_MS) } }
+        );
+        logger.warn(`Two-factor verification locked for user ${user._id} after ${MAX_FAILED_ATTEMPTS} invalid codes`, null, 'auth');
+      }
+      return { success: false, message: 'Invalid authentication code', statusCode: 401 };
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } });
+    if (method === 'recovery-code') {
+      logger.auth(`Recovery code used by user ${user._id}`);
+    }
+    return { success: true, method };
+  },
+
+  /**
+   * Replace the recovery codes (after checking a code)
+   * @param {String} userId - User ID
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { success, recoveryCodes } or { success: false, message, statusCode }
+   */
+  async regenerateRecoveryCodes(userId, factor) {
+    const verification = await this.verify(userId, factor);
+    if (!verification.success) {
+      return verification;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } });
+
+    logger.auth(`Recovery codes regenerated for user ${userId}`);
+    return { success: true, recoveryCodes };
+  },
+
+  /**
+   * Turn two-factor off. Needs the password (for accounts with one) and a code.
+   * Admins cannot turn it off while it is required for admin accounts.
+   * @param {String} userId - User ID
+   * @param {Object} options
+   * @param {String} [options.password] - Current password
+   * @param {String} [options.code] - Code from the authenticator app
+   * @param {String} [options.recoveryCode] - Unused recovery code
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode }
+   */
+  async disable(userId, { password, code, recoveryCode } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+    if (!user.twoFactor?.enabled) {
+      return { success: false, message: 'Two-factor authentication is not enabled', statusCode: 400 };
+    }
+    if (user.isAdmin && await settingsService.get('requireAdminTwoFactor')) {
+      return { success: false, message: 'Two-factor authentication is required for admin accounts', statusCode: 403 };
+    }
+    if (user.password && (!password || !(await user.matchPassword(password)))) {
+      return { success: false, message: 'Password is incorrect', statusCode: 401 };
+    }
+
+    const verification = await this.verify(userId, { code, recoveryCode });
+    if (!verification.success) {
+      return verification;
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.enabledAt': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.lockedUntil': 1,
+        },
+      }
+    );
+
+    logger.auth(`Two-factor authentication disabled for user ${userId}`);
+    return { success: true };
+  },
+
+  /**
+   * First step of a login of a user with two-factor enabled: a short-lived token
+   * that POST /api/users/login/2fa exchanges, together with a code, for a session.
+   * It is not accepted as an access token.
+   * @param {Object} user - User who passed the password (or Google) check
+   * @returns {Object} { twoFactorRequired, challengeToken, expiresIn }
+   */
+  createChallenge(user) {
+    const challengeToken = jwt.sign(
+      { id: user._id, tv: user.tokenVersion || 0, purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRY }
+    );
+    const { iat, exp } = jwt.decode(challengeToken);
+    return { twoFactorRequired: true, challengeToken, expiresIn: exp - iat };
+  },
+
+  /**
+   * Second step of a login: check the challenge token and the code
+   * @param {String} challengeToken - Token from createChallenge()
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { success, user, method } or { success: false, message, statusCode }
+   */
+  async completeChallenge(challengeToken, factor) {
+    const invalid = { success: false, message: 'Invalid or expired login challenge. Please log in again.', statusCode: 401 };
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return invalid;
+    }
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+      return invalid;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || user.isActive === false || (user.tokenVersion || 0) !== decoded.tv) {
+      return invalid;
+    }
+
+    const verification = await this.verify(user._id, factor);
+    if (!verification.success) {
+      return verification;
+    }
+
+    return { success: true, user, method: verification.method };
+  },
+
+  /**
+   * Whether an admin must enable two-factor before using admin routes
+   * @param {Object} user - User
+   * @returns {Promise<Boolean>}
+   */
+  async isRequiredFor(user) {
+    if (!user.isAdmin || user.twoFactor?.enabled) {
+      return false;
+    }
+    return Boolean(await settingsService.get('requireAdminTwoFactor'));
+  }
+};
+
+export default twoFactorService;
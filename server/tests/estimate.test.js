@@ -0,0 +1,138 @@
+// tests/estimate.test.js
+// POST /api/estimate-calories end to end with the offline `fake` vision provider
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startTestServer, createUser } from './helpers.js';
+
+let server;
+let photo;
+
+before(async () => {
+  server = await startTestServer();
+  photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 200, g: 80, b: 40 } } }).jpeg().toBuffer();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+beforeEach(() => {
+  delete process.env.FAKE_VISION_RESPONSE;
+});
+
+const estimate = (token, { image = photo, fields = {}, headers = {} } = {}) => {
+  const form = new FormData();
+  form.append('foodImage', new Blob([image], { type: 'image/jpeg' }), 'meal.jpg');
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  return fetch(`${server.baseUrl}/api/estimate-calories`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    body: form,
+  });
+};
+
+const loadModels = async () => {
+  const { default: User } = await import('../models/userModel.js');
+  const { default: FoodAnalysis } = await import('../models/foodAnalysisModel.js');
+  const { default: CreditTransaction } = await import('../models/creditTransactionModel.js');
+  return { User, FoodAnalysis, CreditTransaction };
+};
+
+test('estimates a photo with the fake provider, charges one credit and saves the analysis', async () => {
+  const { User, FoodAnalysis, CreditTransaction } = await loadModels();
+  const { user, token } = await createUser();
+
+  const response = await estimate(token, { headers: { 'X-API-Version': '2' } });
+  const body = await response.json();
+
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.deepEqual(body.foodItems.map(item => item.name), ['Grilled Chicken Breast', 'Steamed Broccoli']);
+  assert.equal(body.totalCalories.unit, 'kcal');
+  assert.equal(body.totalCalories.value, 220);
+  assert.equal(body.overallHealthScore, 9);
+  assert.ok(body.analysisId);
+
+  const saved = await FoodAnalysis.findById(body.analysisId);
+  assert.equal(String(saved.user), String(user._id));
+  assert.ok(saved.image.storageKey, 'the photo is stored');
+
+  const updatedUser = await User.findById(user._id);
+  assert.equal(updatedUser.apiCreditsUsed, 1);
+
+  const transactions = await CreditTransaction.find({ user: user._id });
+  assert.equal(transactions.length, 1);
+  assert.equal(transactions[0].status, 'committed');
+  assert.equal(transactions[0].pricing.provider, 'fake');
+  assert.equal(transactions[0].pricing.model, 'fake-vision-1');
+});
+
+test('returns version 1 nutrients as integer strings', async () => {
+  const { token } = await createUser();
+
+  const response = await estimate(token);
+  const body = await response.json();
+
+  assert.equal(response.status, 200, JSON.stringify(body));
+  assert.equal(body.totalCalories, '220');
+  assert.equal(body.foodItems[0].calories, '165');
+});
+
+test('releases the reserved credit when the model output cannot be parsed', async () => {
+  const { User, FoodAnalysis, CreditTransaction } = await loadModels();
+  const { user, token } = await createUser();
+  process.env.FAKE_VISION_RESPONSE = 'I cannot see any food in this picture.';
+
+  const response = await estimate(token);
+  const body = await response.json();
+
+  assert.equal(response.status, 500);
+  assert.equal(body.error, 'Could not process AI response (format error)');
+
+  const updatedUser = await User.findById(user._id);
+  assert.equal(updatedUser.apiCreditsUsed, 0);
+  const transaction = await CreditTransaction.findOne({ user: user._id, type: 'consume' });
+  assert.equal(transaction.status, 'released');
+  assert.equal(await FoodAnalysis.countDocuments({ user: user._id }), 0);
+});
+
+test('rejects models that are not allowed for the provider without charging', async () => {
+  const { User } = await loadModels();
+  const { user, token } = await createUser();
+
+  const response = await estimate(token, { fields: { provider: 'fake', model: 'gpt-4o' } });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.match(body.error, /Model 'gpt-4o' is not available for vision provider 'fake'/);
+  assert.equal((await User.findById(user._id)).apiCreditsUsed, 0);
+});
+
+test('rejects images that cannot be decoded', async () => {
+  const { token } = await createUser();
+
+  const response = await estimate(token, { image: Buffer.from('definitely not a jpeg') });
+
+  assert.equal(response.status, 415);
+});
+
+test('answers 429 when the balance does not cover the request', async () => {
+  const { FoodAnalysis } = await loadModels();
+  const { user, token } = await createUser({ apiCreditsTotal: 5, apiCreditsUsed: 5 });
+
+  const response = await estimate(token);
+  const body = await response.json();
+
+  assert.equal(response.status, 429);
+  assert.match(body.error, /Insufficient API credits/);
+  assert.equal(await FoodAnalysis.countDocuments({ user: user._id }), 0);
+});
+
+test('requires authentication', async () => {
+  const form = new FormData();
+  form.append('foodImage', new Blob([photo], { type: 'image/jpeg' }), 'meal.jpg');
+
+  const response = await fetch(`${server.baseUrl}/api/estimate-calories`, { method: 'POST', body: form });
+
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,168 @@
+// tests/paymentWebhook.test.js
+// POST /api/payments/webhook with the signed fixture events of scripts/fixtures/payments/
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { startTestServer, createUser } from './helpers.js';
+import { signPayload } from '../utils/webhookSignature.js';
+
+const FIXTURES_DIR = new URL('../scripts/fixtures/payments/', import.meta.url);
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+// Fill a fixture's {{placeholders}} like scripts/sendWebhookEvent.js does
+const loadFixture = (name, values) => {
+  const template = fs.readFileSync(new URL(`${name}.json`, FIXTURES_DIR), 'utf8');
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+};
+
+const postEvent = (payload, signature = signPayload(payload, process.env.STRIPE_WEBHOOK_SECRET)) =>
+  fetch(`${server.baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+
+// A user with a pending purchase of the 100-credit starter pack
+const startPurchase = async () => {
+  const { user, token } = await createUser();
+  const response = await fetch(`${server.baseUrl}/api/payments/checkout`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pack: 'starter' }),
+  });
+  const checkout = await response.json();
+  assert.equal(response.status, 201, JSON.stringify(checkout));
+  return { user, checkout };
+};
+
+const completeCheckout = async (checkout, paymentIntent, eventId = `evt_test_${crypto.randomUUID()}`) => {
+  const payload = loadFixture('checkout.session.completed', {
+    eventId,
+    purchaseId: checkout.purchaseId,
+    sessionId: checkout.sessionId,
+    paymentIntent,
+  });
+  return { eventId, payload, response: await postEvent(payload) };
+};
+
+const getUser = async (userId) => {
+  const { default: User } = await import('../models/userModel.js');
+  return User.findById(userId);
+};
+
+test('grants the credits of a paid checkout once, even when the event is redelivered', async () => {
+  const { user, checkout } = await startPurchase();
+
+  const { payload, response } = await completeCheckout(checkout, 'pi_test_grant');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { received: true, duplicate: false, handled: true });
+
+  let updatedUser = await getUser(user._id);
+  assert.equal(updatedUser.apiCreditsTotal, user.apiCreditsTotal + 100);
+  assert.equal(updatedUser.apiCreditsPurchased, 100);
+
+  const redelivery = await postEvent(payload);
+  assert.equal(redelivery.status, 200);
+  assert.deepEqual(await redelivery.json(), { received: true, duplicate: true, handled: false });
+
+  updatedUser = await getUser(user._id);
+  assert.equal(updatedUser.apiCreditsTotal, user.apiCreditsTotal + 100);
+});
+
+test('takes back the credits of a refunded purchase', async () => {
+  const { user, checkout } = await startPurchase();
+  await completeCheckout(checkout, 'pi_test_refund');
+
+  const payload = loadFixture('charge.refunded', {
+    eventId: `evt_test_${crypto.randomUUID()}`,
+    paymentIntent: 'pi_test_refund',
+    amount: '499',
+    amountRefunded: '499',
+  });
+  const response = await postEvent(payload);
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).handled, true);
+  assert.equal((await getUser(user._id)).apiCreditsTotal, user.apiCreditsTotal);
+});
+
+test('takes back the credits of a disputed purchase', async () => {
+  const { user, checkout } = await startPurchase();
+  await completeCheckout(checkout, 'pi_test_dispute');
+
+  const payload = loadFixture('charge.dispute.created', {
+    eventId: `evt_test_${crypto.randomUUID()}`,
+    paymentIntent: 'pi_test_dispute',
+  });
+  const response = await postEvent(payload);
+
+  assert.equal(response.status, 200);
+  assert.equal((await getUser(user._id)).apiCreditsTotal, user.apiCreditsTotal);
+});
+
+test('rejects events signed with another secret', async () => {
+  const { user, checkout } = await startPurchase();
+  const payload = loadFixture('checkout.session.completed', {
+    eventId: `evt_test_${crypto.randomUUID()}`,
+    purchaseId: checkout.purchaseId,
+    sessionId: checkout.sessionId,
+    paymentIntent: 'pi_test_forged',
+  });
+
+  const response = await postEvent(payload, signPayload(payload, 'whsec_someone_else'));
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { message: 'Signature mismatch' });
+  assert.equal((await getUser(user._id)).apiCreditsTotal, user.apiCreditsTotal);
+});
+
+test('rejects signatures outside the tolerance window', async () => {
+  const { checkout } = await startPurchase();
+  const payload = loadFixture('checkout.session.completed', {
+    eventId: `evt_test_${crypto.randomUUID()}`,
+    purchaseId: checkout.purchaseId,
+    sessionId: checkout.sessionId,
+    paymentIntent: 'pi_test_stale',
+  });
+  const anHourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+  const response = await postEvent(payload, signPayload(payload, process.env.STRIPE_WEBHOOK_SECRET, anHourAgo));
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { message: 'Signature timestamp outside the tolerance window' });
+});
+
+test('rejects a body changed after signing', async () => {
+  const { checkout } = await startPurchase();
+  const payload = loadFixture('checkout.session.completed', {
+    eventId: `evt_test_${crypto.randomUUID()}`,
+    purchaseId: checkout.purchaseId,
+    sessionId: checkout.sessionId,
+    paymentIntent: 'pi_test_tampered',
+  });
+  const signature = signPayload(payload, process.env.STRIPE_WEBHOOK_SECRET);
+
+  const response = await postEvent(payload.replace('"paid"', '"unpaid"'), signature);
+
+  assert.equal(response.status, 400);
+});
+
+test('records a paid checkout with an invalid purchase ID without failing the delivery', async () => {
+  const { user, checkout } = await startPurchase();
+
+  const { response } = await completeCheckout({ ...checkout, purchaseId: 'not-an-object-id' }, 'pi_test_invalid_id');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { received: true, duplicate: false, handled: false });
+  assert.equal((await getUser(user._id)).apiCreditsTotal, user.apiCreditsTotal);
+});
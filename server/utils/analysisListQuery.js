@@ -0,0 +1,197 @@
+// utils/analysisListQuery.js
+// Parses list options (limit, cursor, sort, order, fields) for GET /api/food-analyses
+// and builds the matching keyset-pagination query.
+import mongoose from 'mongoose';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+// Page size for version 1 clients that do not ask for one (they predate pagination)
+export const LEGACY_DEFAULT_LIMIT = MAX_LIMIT;
+
+// Public sort option -> stored path
+export const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  totalCalories: 'totalCalories.value',
+  overallHealthScore: 'overallHealthScore',
+};
+
+// Top-level fields a client may request with `fields=`
+export const SELECTABLE_FIELDS = [
+  'foodItems',
+  'totalCalories',
+  'totalProteinGrams',
+  'totalCarbsGrams',
+  'totalFatGrams',
+  'totalFiberGrams',
+  'totalSugarGrams',
+  'totalSodiumMg',
+  'overallHealthScore',
+  'mealType',
+  'caloriesDensity',
+  'portionRecommendation',
+  'description',
+  'image',
+  'additionalImages',
+  'revision',
+  'editedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+// `image` expands to its metadata only, so base64 data on legacy records is never read
+const IMAGE_METADATA_PATHS = ['storageKey', 'contentType', 'size', 'width', 'height', 'thumbnailKey', 'thumbnailContentType']
+  .map(field => `image.${field}`);
+
+const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+/**
+ * Encode the position after the last returned record as an opaque cursor
+ * @param {Object} record - Last record of the page
+ * @param {String} sort - Public sort option
+ * @param {String} order - 'asc' or 'desc'
+ * @param {Number} page - Number of the page the cursor leads to
+ * @returns {String} base64url cursor
+ */
+export const encodeCursor = (record, sort, order, page) => {
+  const value = SORT_FIELDS[sort].split('.').reduce((current, key) => (current == null ? current : current[key]), record);
+  const payload = {
+    s: sort,
+    o: order,
+    v: value instanceof Date ? { d: value.toISOString() } : (value === undefined ? null : value),
+    id: String(record._id),
+    p: page,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor()
+ * @param {String} cursor - base64url cursor
+ * @returns {Object|null} { sort, order, value, id, page } or null if malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !SORT_FIELDS[payload.s] || !['asc', 'desc'].includes(payload.o) || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+    const value = payload.v && typeof payload.v === 'object' && payload.v.d ? new Date(payload.v.d) : payload.v;
+    // Dates for createdAt; numbers, or null for records without one, for the other sorts
+    const validValue = payload.s === 'createdAt'
+      ? value instanceof Date && !Number.isNaN(value.getTime())
+      : value === null || Number.isFinite(value);
+    if (!validValue) {
+      return null;
+    }
+    const page = Number.isInteger(payload.p) && payload.p > 1 ? payload.p : 2;
+    return { sort: payload.s, order: payload.o, value, id: new mongoose.Types.ObjectId(payload.id), page };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate list query parameters
+ * @param {Object} query - Request query ({ limit, cursor, sort, order, fields })
+ * @param {Object} [options]
+ * @param {Number} [options.defaultLimit] - Page size when no limit is given
+ * @returns {Object} { success, limit, page, sort, order, cursor, projection } or { success: false, message, statusCode }
+ */
+export const parseListQuery = (query, { defaultLimit = DEFAULT_LIMIT } = {}) => {
+  const sort = query.sort || 'createdAt';
+  const order = query.order || 'desc';
+
+  if (!SORT_FIELDS[sort]) {
+    return invalid(`Invalid sort '${sort}'. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return invalid(`Invalid order '${order}'. Use 'asc' or 'desc'`);
+  }
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) {
+      return invalid('limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return invalid('Invalid cursor');
+    }
+    if (cursor.sort !== sort || cursor.order !== order) {
+      return invalid('Cursor does not match the requested sort and order');
+    }
+  }
+
+  // Default projection: everything except the version key (image bytes are never selected)
+  let projection = '-__v';
+  if (query.fields) {
+    const fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return invalid(`Unknown fields: ${unknown.join(', ')}. Selectable fields: ${SELECTABLE_FIELDS.join(', ')}`);
+    }
+    // The sort path is always needed to build the next cursor
+    const sortPath = SORT_FIELDS[sort];
+    if (!fields.includes(sortPath.split('.')[0])) {
+      fields.push(sortPath);
+    }
+    projection = [...new Set(fields.flatMap(field => (field === 'image' ? IMAGE_METADATA_PATHS : [field])))].join(' ');
+  }
+
+  return { success: true, limit, page: cursor ? cursor.page : 1, sort, order, cursor, projection };
+};
+
+// MongoDB sorts missing/null values first, then numbers, then strings. Legacy records
+// may have no sort value (totalCalories stored as a string or null, so
+// totalCalories.value is missing) or a string one, and range operators only compare
+// values of the same type, so each of these groups gets its own condition.
+const TYPE_GROUPS = [
+  { match: null, test: value => value === null },
+  { match: { $type: 'number' }, test: value => typeof value === 'number' },
+  { match: { $type: 'string' }, test: value => typeof value === 'string' },
+];
+
+/**
+ * Add the keyset condition for a cursor to a Mongo filter
+ * @param {Object} filter - Base filter (user, date range)
+ * @param {Object} listQuery - Output of parseListQuery()
+ * @returns {Object} Filter for the requested page
+ */
+export const applyCursor = (filter, { cursor, sort, order }) => {
+  if (!cursor) return filter;
+
+  const path = SORT_FIELDS[sort];
+  const operator = order === 'desc' ? '$lt' : '$gt';
+
+  const conditions = cursor.value === null
+    ? [{ [path]: null, _id: { [operator]: cursor.id } }]
+    : [
+      { [path]: { [operator]: cursor.value } },
+      { [path]: cursor.value, _id: { [operator]: cursor.id } },
+    ];
+
+  // Whole groups of other value types that come after the cursor's one
+  const group = TYPE_GROUPS.findIndex(entry => entry.test(cursor.value));
+  if (group !== -1) {
+    const following = order === 'desc' ? TYPE_GROUPS.slice(0, group) : TYPE_GROUPS.slice(group + 1);
+    following.forEach(entry => conditions.push({ [path]: entry.match }));
+  }
+
+  return { $and: [filter, { $or: conditions }] };
+};
+
+/**
+ * Mongo sort specification for a list query; _id breaks ties so pages never overlap
+ * @param {Object} listQuery - Output of parseListQuery()
+ * @returns {Object}
+ */
+export const buildSort = ({ sort, order }) => {
+  const direction = order === 'desc' ? -1 : 1;
+  return { [SORT_FIELDS[sort]]: direction, _id: direction };
+};
@@ -0,0 +1,63 @@
+// utils/analysisSerializer.js
+import { ITEM_NUTRIENT_UNITS, TOTAL_NUTRIENT_UNITS, formatLegacyNutrient } from './nutrients.js';
+
+/**
+ * Shape a food analysis for the API version requested by the client.
+ * Version 2 returns nutrients as { value, low, high, unit } objects;
+ * version 1 returns the legacy integer strings (e.g. "95"). Both versions
+ * link to the image through `imageUrl` instead of embedding it.
+ * @param {Object} analysis - FoodAnalysis document or plain object
+ * @param {Number} apiVersion - Resolved API version (req.apiVersion)
+ * @returns {Object} Plain object ready for res.json()
+ */
+export const serializeAnalysis = (analysis, apiVersion) => {
+  const data = typeof analysis.toObject === 'function' ? analysis.toObject() : { ...analysis };
+
+  // Images are served separately; never inline legacy base64 data
+  if (data.image) {
+    const { data: legacyData, ...imageMeta } = data.image;
+    data.image = imageMeta;
+    if (data._id && (imageMeta.storageKey || legacyData)) {
+      data.imageUrl = `/api/food-analyses/${data._id}/image`;
+      data.thumbnailUrl = `${data.imageUrl}?size=thumb`;
+    }
+  }
+
+  // Multi-image meals list every photo, the primary one first
+  if (data.imageUrl && Array.isArray(data.additionalImages) && data.additionalImages.length > 0) {
+    data.imageUrls = [
+      data.imageUrl,
+      ...data.additionalImages.map((image, index) => `${data.imageUrl}?index=${index + 1}`),
+    ];
+  }
+
+  if (apiVersion >= 2) {
+    return data;
+  }
+
+  if (Array.isArray(data.foodItems)) {
+    data.foodItems = data.foodItems.map(item => {
+      const legacyItem = { ...item };
+      Object.keys(ITEM_NUTRIENT_UNITS).forEach(field => {
+        legacyItem[field] = formatLegacyNutrient(item[field]);
+      });
+      return legacyItem;
+    });
+  }
+
+  Object.keys(TOTAL_NUTRIENT_UNITS).forEach(field => {
+    if (field in data) {
+      data[field] = formatLegacyNutrient(data[field]);
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Serialize a list of analyses
+ * @param {Array<Object>} analyses - FoodAnalysis documents or plain objects
+ * @param {Number} apiVersion - Resolved API version (req.apiVersion)
+ * @returns {Array<Object>}
+ */
+export const serializeAnalyses = (analyses, apiVersion) => analyses.map(analysis => serializeAnalysis(analysis, apiVersion));
@@ -0,0 +1,21 @@
+// utils/creditHeaders.js
+
+/**
+ * Set X-Credits-Remaining and X-Credits-Limit on responses to API key requests,
+ * so integrations can watch their balance without polling /api/credits.
+ * Call again after the request changes the balance to report the new value.
+ * @param {Object} req - Express request (authMethod is set by the protect middleware)
+ * @param {Object} res - Express response
+ * @param {Object} credits
+ * @param {Number} credits.remaining - Current balance
+ * @param {Number} credits.total - Credit limit (apiCreditsTotal)
+ */
+export const setCreditHeaders = (req, res, { remaining, total }) => {
+  if (req.authMethod !== 'apiKey' || res.headersSent || remaining === undefined || total === undefined) {
+    return;
+  }
+  res.set('X-Credits-Remaining', String(remaining));
+  res.set('X-Credits-Limit', String(total));
+};
+
+export default setCreditHeaders;
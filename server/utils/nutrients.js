@@ -0,0 +1,101 @@
+// utils/nutrients.js
+// Helpers for converting nutrient values between model text ("Approx. 100-150 kcal"),
+// the numeric { value, low, high, unit } shape stored in Mongo, and legacy API strings.
+
+// Canonical unit for every per-item nutrient field
+export const ITEM_NUTRIENT_UNITS = {
+  calories: 'kcal',
+  proteinGrams: 'g',
+  carbsGrams: 'g',
+  fatGrams: 'g',
+  fiberGrams: 'g',
+  sugarGrams: 'g',
+  sodiumMg: 'mg',
+};
+
+// Canonical unit for every meal total field
+export const TOTAL_NUTRIENT_UNITS = {
+  totalCalories: 'kcal',
+  totalProteinGrams: 'g',
+  totalCarbsGrams: 'g',
+  totalFatGrams: 'g',
+  totalFiberGrams: 'g',
+  totalSugarGrams: 'g',
+  totalSodiumMg: 'mg',
+};
+
+// Conversion factors from a unit found in the text to the canonical unit
+const UNIT_CONVERSIONS = {
+  g: { mg: 1000, g: 1 },
+  mg: { g: 0.001, mg: 1 },
+  kcal: { kcal: 1 },
+};
+
+const roundValue = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Detect the unit written after the number, if any
+ * @param {String} valueString - Text such as "Approx. 0.5g"
+ * @returns {String|null} 'kcal', 'mg', 'g' or null
+ */
+const detectUnit = (valueString) => {
+  const unitMatch = valueString.match(/\d\s*(kcal|calories|cal|mg|g)\b/i);
+  if (!unitMatch) return null;
+
+  const unit = unitMatch[1].toLowerCase();
+  return unit === 'calories' || unit === 'cal' ? 'kcal' : unit;
+};
+
+/**
+ * Parse a nutrient value reported by a model into numbers
+ * @param {String|Number|Object} rawValue - e.g. "Approx. 100-150 kcal", 95, or an already parsed nutrient
+ * @param {String} unit - Canonical unit for the field ('kcal', 'g' or 'mg')
+ * @returns {Object} { value, unit, low?, high? } with non-negative numbers (value 0 when not numeric)
+ */
+export const parseNutrient = (rawValue, unit) => {
+  if (rawValue && typeof rawValue === 'object' && typeof rawValue.value === 'number') {
+    return { ...rawValue, unit: rawValue.unit || unit };
+  }
+
+  if (typeof rawValue === 'number' && !isNaN(rawValue)) {
+    return { value: roundValue(Math.max(0, rawValue)), unit };
+  }
+
+  if (!rawValue || typeof rawValue !== 'string') {
+    return { value: 0, unit };
+  }
+
+  const sourceUnit = detectUnit(rawValue);
+  const factor = (sourceUnit && UNIT_CONVERSIONS[sourceUnit] && UNIT_CONVERSIONS[sourceUnit][unit]) || 1;
+  const convert = (number) => roundValue(Math.max(0, number * factor));
+
+  // First, try to extract a range (e.g., "100-150 kcal")
+  const rangeMatch = rawValue.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/);
+  if (rangeMatch) {
+    const low = convert(parseFloat(rangeMatch[1]));
+    const high = convert(parseFloat(rangeMatch[2]));
+    return { value: roundValue((low + high) / 2), low, high, unit };
+  }
+
+  // Next, try to find any number in the string
+  const numberMatch = rawValue.match(/(\d+(?:\.\d+)?)/);
+  if (numberMatch) {
+    return { value: convert(parseFloat(numberMatch[1])), unit };
+  }
+
+  return { value: 0, unit };
+};
+
+/**
+ * Format a stored nutrient as the legacy integer string used by API version 1
+ * @param {Object|String|Number} nutrient - Stored nutrient (strings from unmigrated documents pass through)
+ * @returns {String} e.g. "95"
+ */
+export const formatLegacyNutrient = (nutrient) => {
+  if (typeof nutrient === 'string') return nutrient;
+
+  const value = nutrient && typeof nutrient === 'object' ? nutrient.value : nutrient;
+  if (typeof value !== 'number' || isNaN(value)) return '0';
+
+  return String(Math.max(0, Math.round(value)));
+};
@@ -0,0 +1,115 @@
+// utils/outboundUrl.js
+// Guards for URLs the server sends requests to on behalf of users (webhooks), so
+// they cannot reach the server's own network: loopback, private, link-local
+// (cloud metadata at 169.254.169.254) and other non-public addresses.
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, cloud metadata
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved, broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Private destinations can be allowed for local development (WEBHOOK_ALLOW_PRIVATE_URLS=true)
+const isPrivateAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Whether an IP address is not publicly routable
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  if (family === 6) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+      return blockedAddresses.check(mapped[1], 'ipv4');
+    }
+  }
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup() that fails for private addresses. Used by the agents below, so the
+ * address checked is the one connected to (no DNS rebinding between check and request).
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!isPrivateAllowed() && addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * HTTP(S) agents for requests to user-supplied URLs
+ */
+export const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+export const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Check that a user-supplied URL is http(s) and its host only resolves to public addresses
+ * @param {String} value - URL
+ * @returns {Promise<String|null>} Error message, or null if the URL is allowed
+ */
+export const checkPublicUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return 'must be an http(s) URL';
+  }
+  if (url.username || url.password) {
+    return 'must not contain credentials';
+  }
+  if (isPrivateAllowed()) {
+    return null;
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return 'host could not be resolved';
+  }
+
+  if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+    return 'must point to a public address';
+  }
+  return null;
+};
@@ -0,0 +1,53 @@
+// utils/passwordPolicy.js
+// Strength rules for passwords chosen at registration, reset and change.
+
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'iloveyou', 'letmein1', 'welcome1', 'abc12345',
+  'admin123', 'passw0rd', '11111111', '00000000', 'football1', 'monkey123',
+]);
+
+const getMinLength = () => parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+
+/**
+ * Check a new password against the strength rules
+ * @param {String} password - Candidate password
+ * @param {Object} [context] - Account details the password must not contain
+ * @param {String} [context.email]
+ * @param {String} [context.name]
+ * @returns {String|null} Why the password is rejected, or null if it is acceptable
+ */
+export const validatePassword = (password, { email, name } = {}) => {
+  if (!password || typeof password !== 'string') {
+    return 'Please provide a password';
+  }
+
+  const minLength = getMinLength();
+  if (password.length < minLength) {
+    return `Password must be at least ${minLength} characters long`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    return `Password must be at most ${MAX_PASSWORD_BYTES} bytes long`;
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    return 'Password is too common';
+  }
+
+  const personal = [
+    email ? String(email).split('@')[0].toLowerCase() : null,
+    name ? String(name).toLowerCase().replace(/\s+/g, '') : null,
+  ];
+  if (personal.some(part => part && part.length >= 3 && lower.includes(part))) {
+    return 'Password must not contain your name or email address';
+  }
+
+  return null;
+};
@@ -0,0 +1,152 @@
+// utils/timezone.js
+// Day-boundary helpers for IANA time zones (e.g. "Asia/Bangkok", "America/New_York").
+// Offsets are looked up with Intl per instant, so DST transitions are handled.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a time zone known to the runtime
+ * @param {String} timeZone - IANA time zone name
+ * @returns {Boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone name
+ * @returns {Number} Offset in milliseconds (positive east of UTC)
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * UTC instant of local midnight at the start of a calendar day
+ * @param {String} dateOnly - Day in YYYY-MM-DD format
+ * @param {String} timeZone - IANA time zone name
+ * @returns {Date} Invalid Date if dateOnly is not a valid day
+ */
+export const startOfDayInTimeZone = (dateOnly, timeZone) => {
+  const match = DATE_ONLY_REGEX.exec(dateOnly);
+  if (!match) return new Date(NaN);
+
+  const localMidnight = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (new Date(localMidnight).toISOString().slice(0, 10) !== dateOnly) return new Date(NaN);
+
+  // Apply the offset twice: the first guess may sit on the other side of a DST change
+  let instant = localMidnight - getTimeZoneOffset(new Date(localMidnight), timeZone);
+  instant = localMidnight - getTimeZoneOffset(new Date(instant), timeZone);
+
+  return new Date(instant);
+};
+
+/**
+ * UTC range covering one local calendar day. Days are 23 or 25 hours long across DST changes.
+ * @param {String} dateOnly - Day in YYYY-MM-DD format
+ * @param {String} timeZone - IANA time zone name
+ * @returns {{startDate: Date, endDate: Date}} startDate inclusive, endDate exclusive
+ */
+export const getDayRange = (dateOnly, timeZone) => ({
+  startDate: startOfDayInTimeZone(dateOnly, timeZone),
+  endDate: startOfDayInTimeZone(addDays(dateOnly, 1), timeZone),
+});
+
+/**
+ * Shift a calendar day by a number of days
+ * @param {String} dateOnly - Day in YYYY-MM-DD format
+ * @param {Number} days - Days to add (may be negative)
+ * @returns {String} Day in YYYY-MM-DD format
+ */
+export const addDays = (dateOnly, days) => {
+  const date = new Date(`${dateOnly}T00:00:00.000Z`);
+  if (isNaN(date.getTime())) return dateOnly;
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Shift an instant by whole calendar months (UTC), clamping to the end of shorter months
+ * (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - Instant
+ * @param {Number} months - Months to add (may be negative)
+ * @returns {Date}
+ */
+export const addMonthsClamped = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+/**
+ * Today's calendar day in a time zone
+ * @param {String} timeZone - IANA time zone name
+ * @returns {String} Day in YYYY-MM-DD format
+ */
+export const todayInTimeZone = (timeZone) => {
+  const now = new Date();
+  return new Date(now.getTime() + getTimeZoneOffset(now, timeZone)).toISOString().slice(0, 10);
+};
+
+/**
+ * Resolve the time zone for a request: `tz` query parameter, then the user's preference, then UTC
+ * @param {Object} req - Express request (after protect)
+ * @returns {Object} { success, timeZone } or { success: false, message, statusCode }
+ */
+export const resolveRequestTimeZone = (req) => {
+  const timeZone = req.query.tz || (req.user && req.user.timezone) || 'UTC';
+
+  if (!isValidTimeZone(timeZone)) {
+    return {
+      success: false,
+      message: `Invalid time zone '${timeZone}'. Use an IANA name such as 'Asia/Bangkok'`,
+      statusCode: 400
+    };
+  }
+
+  return { success: true, timeZone };
+};
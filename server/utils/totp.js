@@ -0,0 +1,129 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, 1Password, Authy and similar apps.
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {String} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits, as recommended by RFC 4226)
+ * @returns {String} Base32 secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step of an instant
+ * @param {Number} [timestamp] - Milliseconds (defaults to now)
+ * @returns {Number}
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Code of a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step
+ * @returns {String} Zero-padded code
+ */
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, accepting one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {Number} [options.window] - Steps accepted before and after the current one (default 1)
+ * @param {Number} [options.timestamp] - Milliseconds (defaults to now)
+ * @returns {Number|null} Matching time step (store it to reject replays), or null
+ */
+export const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(timestamp);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * `otpauth://` URI for authenticator apps; render it as a QR code to enroll
+ * @param {Object} options
+ * @param {String} options.secret - Base32 secret
+ * @param {String} options.account - Account label, usually the email
+ * @param {String} options.issuer - Service name shown in the app
+ * @returns {String}
+ */
+export const buildOtpauthUrl = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,64 @@
+// utils/webhookSignature.js
+// Stripe-compatible webhook signatures: the `Stripe-Signature` header is
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>" (several v1 entries allowed).
+import crypto from 'crypto';
+
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Compute the v1 signature of a payload
+ * @param {String|Buffer} payload - Raw request body
+ * @param {String} secret - Webhook signing secret
+ * @param {Number} timestamp - Unix time in seconds
+ * @returns {String} Hex signature
+ */
+export const computeSignature = (payload, secret, timestamp) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${payload.toString('utf8')}`).digest('hex');
+
+/**
+ * Build a `Stripe-Signature` header value, e.g. for signing local fixture events
+ * @param {String|Buffer} payload - Raw request body
+ * @param {String} secret - Webhook signing secret
+ * @param {Number} [timestamp] - Unix time in seconds (defaults to now)
+ * @returns {String}
+ */
+export const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+
+/**
+ * Verify a `Stripe-Signature` header against the raw body
+ * @param {Buffer|String} payload - Raw request body, exactly as received
+ * @param {String} header - Value of the Stripe-Signature header
+ * @param {String} secret - Webhook signing secret
+ * @param {Number} [toleranceSeconds] - Maximum age of the signature
+ * @returns {Object} { success } or { success: false, message }
+ */
+export const verifySignature = (payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+  if (!header || typeof header !== 'string') {
+    return { success: false, message: 'Missing signature header' };
+  }
+
+  let timestamp = null;
+  const signatures = [];
+  header.split(',').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  });
+
+  if (!timestamp || signatures.length === 0) {
+    return { success: false, message: 'Malformed signature header' };
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return { success: false, message: 'Signature timestamp outside the tolerance window' };
+  }
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  const matches = signatures.some(signature => {
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  return matches ? { success: true } : { success: false, message: 'Signature mismatch' };
+};